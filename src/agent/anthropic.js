@@ -0,0 +1,122 @@
+/**
+ * Anthropic message translation
+ *
+ * The runtime keeps its transcript in OpenAI chat format:
+ *   { role: 'system' | 'user', content }
+ *   { role: 'assistant', content, tool_calls: [{ id, function: { name, arguments } }] }
+ *   { role: 'tool', tool_call_id, content }
+ * Anthropic wants a separate system prompt, strictly alternating user/assistant
+ * turns and content blocks: tool calls become tool_use blocks on the assistant
+ * turn, their results tool_result blocks on the following user turn.
+ */
+
+function parseArguments(args) {
+    if (args && typeof args === 'object') return args;
+    try {
+        return JSON.parse(args || '{}');
+    } catch (err) {
+        return {};
+    }
+}
+
+function textOf(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) return content.map(part => part.text || '').join('');
+    return content ? String(content) : '';
+}
+
+function toBlocks(message) {
+    switch (message.role) {
+        case 'tool':
+            return [{
+                type: 'tool_result',
+                tool_use_id: message.tool_call_id,
+                content: textOf(message.content)
+            }];
+
+        case 'assistant': {
+            const text = textOf(message.content);
+            return [
+                ...(text ? [{ type: 'text', text }] : []),
+                ...(message.tool_calls || []).map(call => ({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.function.name,
+                    input: parseArguments(call.function.arguments)
+                }))
+            ];
+        }
+
+        default: {
+            const text = textOf(message.content);
+            return text ? [{ type: 'text', text }] : [];
+        }
+    }
+}
+
+// Returns { system, messages } for messages.create()
+export function toAnthropicMessages(messages) {
+    const system = messages
+        .filter(m => m.role === 'system')
+        .map(m => textOf(m.content))
+        .filter(Boolean)
+        .join('\n\n');
+
+    const turns = [];
+    for (const message of messages) {
+        if (message.role === 'system') continue;
+
+        const role = message.role === 'assistant' ? 'assistant' : 'user';
+        const blocks = toBlocks(message);
+        if (!blocks.length) continue;
+
+        // Consecutive messages of one role (e.g. several tool results) share a turn
+        const last = turns[turns.length - 1];
+        if (last?.role === role) {
+            last.content.push(...blocks);
+        } else {
+            turns.push({ role, content: blocks });
+        }
+    }
+
+    // Tool results have to lead the user turn that answers a tool_use
+    for (const turn of turns) {
+        if (turn.role === 'user') {
+            turn.content.sort((a, b) => (a.type === 'tool_result' ? 0 : 1) - (b.type === 'tool_result' ? 0 : 1));
+        }
+    }
+
+    // The conversation has to open with the customer
+    if (turns[0]?.role === 'assistant') {
+        turns.unshift({ role: 'user', content: [{ type: 'text', text: '(conversation continued)' }] });
+    }
+
+    return { system, messages: turns };
+}
+
+export function toAnthropicTools(tools = []) {
+    return tools.map(t => ({
+        name: t.function.name,
+        description: t.function.description,
+        input_schema: t.function.parameters
+    }));
+}
+
+// Back to the { content, toolCalls, usage } shape the runtime expects
+export function fromAnthropicResponse(response) {
+    const textBlocks = response.content.filter(b => b.type === 'text');
+    const toolBlocks = response.content.filter(b => b.type === 'tool_use');
+
+    return {
+        content: textBlocks.map(b => b.text).join(''),
+        toolCalls: toolBlocks.length > 0 ? toolBlocks.map(b => ({
+            id: b.id,
+            type: 'function',
+            function: {
+                name: b.name,
+                arguments: JSON.stringify(b.input)
+            }
+        })) : null,
+        usage: response.usage
+    };
+}
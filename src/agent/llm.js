@@ -1,184 +1,208 @@
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
 import { config } from 'dotenv';
+import LLMProvider from './providers.js';
 
 config();
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+const DEFAULT_LLM = {
+    // Empty: LLM_PROVIDER / LLM_MODEL from .env, then local Ollama if OLLAMA_BASE_URL is set
+    providers: [],
+    retry: { max_retries: 2, base_delay_ms: 1000, max_delay_ms: 8000 },
+    circuit_breaker: { failure_threshold: 3, cooldown_seconds: 120 }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * LLM Client
+ * Sends chats down an ordered provider chain (config/agent.json "llm"):
+ * - 429s, 5xx and network errors are retried with exponential backoff
+ * - a provider that keeps failing is skipped for a cooldown (circuit breaker)
+ * - whatever still fails moves on to the next provider
+ * - over budget, a cheaper model or a polite message takes over
+ */
 class LLMClient {
     constructor(options = {}) {
-        this.provider = process.env.LLM_PROVIDER || options.provider || 'openrouter';
-        this.model = process.env.LLM_MODEL || options.model || 'openrouter/auto';
         this.totalTokensUsed = 0;
         this.totalCost = 0;
-        this.client = null;
+        // Persists tokens and cost per call, and holds the spend budget (agent/usage.js)
+        this.usageTracker = options.usageTracker || null;
+        this.budgetProviders = new Map();
+        // Stream tokens when the caller asks for them (LLM_STREAMING=false turns it off)
+        this.streaming = options.streaming ?? process.env.LLM_STREAMING !== 'false';
+        this.settings = this.loadSettings(options);
+        this.providers = this.buildChain(options);
+
+        // Primary provider, kept for getStats() and logging
+        this.provider = this.providers[0].provider;
+        this.model = this.providers[0].model;
+    }
 
-        this.initializeClient();
+    loadSettings(options) {
+        let llm = {};
+        try {
+            llm = JSON.parse(readFileSync(join(projectRoot, 'config/agent.json'), 'utf-8')).llm || {};
+        } catch (err) {
+            // No agent.json - defaults and .env
+        }
+        return {
+            providers: options.providers || llm.providers || DEFAULT_LLM.providers,
+            retry: { ...DEFAULT_LLM.retry, ...(llm.retry || {}) },
+            circuit_breaker: { ...DEFAULT_LLM.circuit_breaker, ...(llm.circuit_breaker || {}) }
+        };
     }
 
-    initializeClient() {
-        switch (this.provider) {
-            case 'openai':
-                if (!process.env.OPENAI_API_KEY) {
-                    throw new Error('OPENAI_API_KEY is required for OpenAI provider');
-                }
-                this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-                console.log(`✅ LLM: OpenAI / ${this.model}`);
-                break;
+    envChain(options) {
+        const provider = process.env.LLM_PROVIDER || options.provider || 'openrouter';
+        const chain = [{ provider, model: process.env.LLM_MODEL || options.model || null }];
+        if (provider !== 'ollama' && process.env.OLLAMA_BASE_URL) {
+            chain.push({ name: 'ollama-fallback', provider: 'ollama', model: 'llama3.1' });
+        }
+        return chain;
+    }
 
-            case 'anthropic':
-                if (!process.env.ANTHROPIC_API_KEY) {
-                    throw new Error('ANTHROPIC_API_KEY is required for Anthropic provider');
-                }
-                this.client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-                console.log(`✅ LLM: Anthropic / ${this.model}`);
-                break;
-
-            case 'ollama':
-                this.client = new OpenAI({
-                    baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
-                    apiKey: 'ollama'
-                });
-                this.model = this.model || 'llama3.1';
-                console.log(`✅ LLM: Ollama / ${this.model}`);
-                break;
-
-            case 'openrouter':
-            case 'deepseek':
-            case 'groq':
-                // These all use OpenAI-compatible APIs
-                const baseURLs = {
-                    openrouter: 'https://openrouter.ai/api/v1',
-                    deepseek: 'https://api.deepseek.com/v1',
-                    groq: 'https://api.groq.com/openai/v1'
-                };
-
-                const apiKey = process.env.OPENAI_API_KEY || process.env.OPENROUTER_API_KEY || process.env.DEEPSEEK_API_KEY || process.env.GROQ_API_KEY;
-                if (!apiKey) {
-                    throw new Error(`API key required for ${this.provider}`);
-                }
+    buildChain(options) {
+        const entries = this.settings.providers.length ? this.settings.providers : this.envChain(options);
+        const providers = [];
+
+        for (const entry of entries) {
+            try {
+                const provider = new LLMProvider(entry);
+                providers.push(provider);
+                console.log(`✅ LLM: ${provider.name} / ${provider.model}${providers.length > 1 ? ` (fallback ${providers.length - 1})` : ''}`);
+            } catch (err) {
+                console.warn(`⚠️ LLM: Skipping ${entry.name || entry.provider}: ${err.message}`);
+            }
+        }
 
-                this.client = new OpenAI({
-                    baseURL: baseURLs[this.provider] || baseURLs.openrouter,
-                    apiKey: apiKey
-                });
+        if (!providers.length) {
+            throw new Error(`No usable LLM provider configured (${entries.map(e => e.name || e.provider).join(', ')})`);
+        }
+        return providers;
+    }
 
-                // For openrouter, default to a free model if none specified
-                if (this.provider === 'openrouter' && this.model === 'openrouter/auto') {
-                    this.model = 'deepseek/deepseek-r1-0528:free';
-                }
+    isRetryable(error) {
+        // No status: timeout or connection error
+        return !error.status || error.status === 429 || error.status >= 500;
+    }
 
-                console.log(`✅ LLM: ${this.provider} / ${this.model}`);
-                break;
+    retryDelay(error, attempt) {
+        const { base_delay_ms, max_delay_ms } = this.settings.retry;
+        const retryAfter = Number(error.headers?.['retry-after']);
+        const delay = retryAfter > 0 ? retryAfter * 1000 : base_delay_ms * 2 ** attempt;
+        // A little jitter so parallel chats don't retry in lockstep
+        return Math.min(delay, max_delay_ms) + Math.floor(Math.random() * 250);
+    }
 
-            default:
-                throw new Error(`Unknown LLM provider: ${this.provider}`);
+    async callWithRetry(provider, messages, tools, onToken) {
+        const { max_retries } = this.settings.retry;
+
+        for (let attempt = 0; ; attempt++) {
+            const started = Date.now();
+            try {
+                const result = await provider.chat(messages, tools, onToken);
+                provider.recordSuccess(Date.now() - started);
+                return result;
+            } catch (error) {
+                if (attempt >= max_retries || !this.isRetryable(error)) throw error;
+
+                const delay = this.retryDelay(error, attempt);
+                console.warn(`⚠️ LLM: ${provider.name} failed (${error.status || error.message}), retrying in ${delay}ms...`);
+                await sleep(delay);
+            }
         }
     }
 
-    async chat(messages, tools = null) {
-        try {
-            if (this.provider === 'anthropic') {
-                return await this._callAnthropic(messages, tools);
-            }
-            return await this._callOpenAI(messages, tools);
-        } catch (error) {
-            console.error(`❌ LLM Error:`, error.message);
+    // Provider for the budget's cheaper_model, built on first use
+    budgetProvider(entry) {
+        const key = JSON.stringify(entry);
+        if (!this.budgetProviders.has(key)) {
+            this.budgetProviders.set(key, new LLMProvider({ name: 'budget', ...entry }));
+        }
+        return this.budgetProviders.get(key);
+    }
 
-            // Try fallback to Ollama if available
-            if (this.provider !== 'ollama' && process.env.OLLAMA_BASE_URL) {
-                console.log('⚠️ Trying Ollama fallback...');
+    // The provider chain to use, or null when the budget says to stop
+    candidatesFor(budget) {
+        if (budget?.exceeded) {
+            if (budget.action === 'cheaper_model' && budget.cheaperModel) {
                 try {
-                    const fallback = new OpenAI({
-                        baseURL: process.env.OLLAMA_BASE_URL + '/v1',
-                        apiKey: 'ollama'
-                    });
-                    const params = {
-                        model: 'llama3.1',
-                        messages,
-                        max_tokens: 4096
-                    };
-                    if (tools?.length) {
-                        params.tools = tools;
-                        params.tool_choice = 'auto';
-                    }
-                    const r = await fallback.chat.completions.create(params);
-                    return {
-                        content: r.choices[0].message.content || '',
-                        toolCalls: r.choices[0].message.tool_calls || null
-                    };
-                } catch (e) {
-                    console.error('❌ Fallback failed:', e.message);
+                    return [this.budgetProvider(budget.cheaperModel)];
+                } catch (err) {
+                    console.error('❌ LLM: Budget model unusable:', err.message);
                 }
             }
-
-            throw error;
+            return null;
         }
+
+        // All circuits open: trying anyway beats not answering at all
+        const available = this.providers.filter(p => p.isAvailable());
+        return available.length ? available : this.providers;
     }
 
-    async _callOpenAI(messages, tools) {
-        const params = {
-            model: this.model,
-            messages,
-            max_tokens: 4096
+    // onToken(text) is called with each piece of the reply as it is generated;
+    // attribution ({ sessionId, channel, customer }) is saved with the usage
+    async chat(messages, tools = null, { onToken = null, attribution = {} } = {}) {
+        const stream = this.streaming && typeof onToken === 'function' ? onToken : null;
+        const breaker = {
+            failureThreshold: this.settings.circuit_breaker.failure_threshold,
+            cooldownMs: this.settings.circuit_breaker.cooldown_seconds * 1000
         };
 
-        if (tools?.length) {
-            params.tools = tools;
-            params.tool_choice = 'auto';
+        const budget = this.usageTracker?.budgetStatus();
+        const candidates = this.candidatesFor(budget);
+        if (!candidates) {
+            console.warn(`⚠️ LLM: Budget exceeded (today $${budget.today}, month $${budget.month}) - sending fallback message`);
+            return { content: budget.message, toolCalls: null, usage: null, budgetExceeded: true };
         }
 
-        const response = await this.client.chat.completions.create(params);
-        const choice = response.choices[0];
-
-        if (response.usage) {
-            this.totalTokensUsed += (response.usage.prompt_tokens || 0) + (response.usage.completion_tokens || 0);
+        let lastError = null;
+        for (const provider of candidates) {
+            try {
+                const result = await this.callWithRetry(provider, messages, tools, stream);
+                await this.recordUsage(provider, messages, result, attribution);
+                return result;
+            } catch (error) {
+                console.error(`❌ LLM Error (${provider.name}):`, error.message);
+                provider.recordFailure(error, breaker);
+                lastError = error;
+            }
         }
 
-        return {
-            content: choice.message.content || '',
-            toolCalls: choice.message.tool_calls || null,
-            usage: response.usage
-        };
+        throw lastError;
     }
 
-    async _callAnthropic(messages, tools) {
-        const systemMsg = messages.find(m => m.role === 'system');
-        const chatMsgs = messages.filter(m => m.role !== 'system');
-
-        const params = {
-            model: this.model,
-            max_tokens: 4096,
-            system: systemMsg?.content || '',
-            messages: chatMsgs.map(m => ({
-                role: m.role === 'assistant' ? 'assistant' : 'user',
-                content: m.content
-            }))
-        };
-
-        if (tools?.length) {
-            params.tools = tools.map(t => ({
-                name: t.function.name,
-                description: t.function.description,
-                input_schema: t.function.parameters
-            }));
+    async recordUsage(provider, messages, result, attribution) {
+        const usage = result.usage;
+        // OpenAI-style and Anthropic-style counts; rough estimate (4 chars a token) if the provider sent none
+        const promptTokens = usage ? usage.prompt_tokens ?? usage.input_tokens ?? 0 : Math.ceil(JSON.stringify(messages).length / 4);
+        const completionTokens = usage
+            ? usage.completion_tokens ?? usage.output_tokens ?? 0
+            : Math.ceil(((result.content || '').length + JSON.stringify(result.toolCalls || []).length) / 4);
+
+        this.totalTokensUsed += promptTokens + completionTokens;
+
+        if (this.usageTracker) {
+            const entry = await this.usageTracker.record({
+                provider: provider.provider,
+                model: provider.model,
+                promptTokens,
+                completionTokens,
+                estimated: !usage,
+                ...attribution
+            });
+            this.totalCost += entry.cost;
         }
+    }
 
-        const response = await this.client.messages.create(params);
-        const textBlocks = response.content.filter(b => b.type === 'text');
-        const toolBlocks = response.content.filter(b => b.type === 'tool_use');
-
-        return {
-            content: textBlocks.map(b => b.text).join(''),
-            toolCalls: toolBlocks.length > 0 ? toolBlocks.map(b => ({
-                id: b.id,
-                type: 'function',
-                function: {
-                    name: b.name,
-                    arguments: JSON.stringify(b.input)
-                }
-            })) : null,
-            usage: response.usage
-        };
+    getHealth() {
+        return this.providers.map(p => p.getHealth());
     }
 
     getStats() {
@@ -186,7 +210,8 @@ class LLMClient {
             totalTokensUsed: this.totalTokensUsed,
             totalCost: this.totalCost,
             provider: this.provider,
-            model: this.model
+            model: this.model,
+            providers: this.getHealth()
         };
     }
 }
@@ -0,0 +1,208 @@
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import { toAnthropicMessages, toAnthropicTools, fromAnthropicResponse } from './anthropic.js';
+
+// Per provider: API style, endpoint, where its key usually lives and a default model
+const PROVIDER_DEFAULTS = {
+    openai: { api: 'openai', baseURL: undefined, keyRefs: ['OPENAI_API_KEY'], model: 'gpt-4o-mini' },
+    anthropic: { api: 'anthropic', baseURL: undefined, keyRefs: ['ANTHROPIC_API_KEY'], model: 'claude-3-5-haiku-latest' },
+    ollama: { api: 'openai', baseURL: 'http://localhost:11434/v1', keyRefs: [], model: 'llama3.1' },
+    // The setup page saves OpenRouter keys as OPENAI_API_KEY
+    openrouter: { api: 'openai', baseURL: 'https://openrouter.ai/api/v1', keyRefs: ['OPENROUTER_API_KEY', 'OPENAI_API_KEY'], model: 'deepseek/deepseek-r1-0528:free' },
+    deepseek: { api: 'openai', baseURL: 'https://api.deepseek.com/v1', keyRefs: ['DEEPSEEK_API_KEY'], model: 'deepseek-chat' },
+    groq: { api: 'openai', baseURL: 'https://api.groq.com/openai/v1', keyRefs: ['GROQ_API_KEY'], model: 'llama-3.3-70b-versatile' }
+};
+
+/**
+ * One entry of the LLM provider chain (config/agent.json "llm.providers"):
+ * { name, provider, model, key_ref, base_url, timeout_ms }
+ * Keeps its own health: consecutive failures open the circuit, and the
+ * provider is skipped until the cooldown has passed.
+ */
+class LLMProvider {
+    constructor(entry) {
+        const defaults = PROVIDER_DEFAULTS[entry.provider];
+        if (!defaults) {
+            throw new Error(`Unknown LLM provider: ${entry.provider}`);
+        }
+
+        this.provider = entry.provider;
+        this.name = entry.name || entry.provider;
+        this.api = defaults.api;
+        // "openrouter/auto" is what older setups saved for "pick for me"
+        this.model = entry.model && entry.model !== 'openrouter/auto' ? entry.model : defaults.model;
+        this.baseURL = entry.base_url || (entry.provider === 'ollama' && process.env.OLLAMA_BASE_URL
+            ? `${process.env.OLLAMA_BASE_URL.replace(/\/(v1\/?)?$/, '')}/v1`
+            : defaults.baseURL);
+        this.timeoutMs = entry.timeout_ms || 60000;
+
+        const keyRefs = entry.key_ref ? [entry.key_ref] : defaults.keyRefs;
+        const apiKey = keyRefs.map(ref => process.env[ref]).find(Boolean);
+        if (keyRefs.length && !apiKey) {
+            throw new Error(`${keyRefs.join(' or ')} is required for ${this.name}`);
+        }
+
+        // Retries are done by the chain, not the SDKs
+        this.client = this.api === 'anthropic'
+            ? new Anthropic({ apiKey, timeout: this.timeoutMs, maxRetries: 0 })
+            : new OpenAI({ baseURL: this.baseURL, apiKey: apiKey || 'ollama', timeout: this.timeoutMs, maxRetries: 0 });
+
+        this.health = {
+            state: 'closed',
+            consecutiveFailures: 0,
+            openUntil: null,
+            requests: 0,
+            failures: 0,
+            lastError: null,
+            lastErrorAt: null,
+            lastSuccessAt: null,
+            lastLatencyMs: null
+        };
+    }
+
+    // closed: healthy, open: skipped until the cooldown ends, half_open: next call is a trial
+    isAvailable() {
+        if (this.health.state !== 'open') return true;
+        if (Date.now() >= this.health.openUntil) {
+            this.health.state = 'half_open';
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess(latencyMs) {
+        Object.assign(this.health, {
+            state: 'closed',
+            consecutiveFailures: 0,
+            openUntil: null,
+            lastSuccessAt: new Date().toISOString(),
+            lastLatencyMs: latencyMs
+        });
+    }
+
+    recordFailure(error, { failureThreshold, cooldownMs }) {
+        const health = this.health;
+        health.failures++;
+        health.consecutiveFailures++;
+        health.lastError = error.message;
+        health.lastErrorAt = new Date().toISOString();
+
+        // A failed trial re-opens straight away
+        if (health.state === 'half_open' || health.consecutiveFailures >= failureThreshold) {
+            health.state = 'open';
+            health.openUntil = Date.now() + cooldownMs;
+            console.warn(`⚠️ LLM: ${this.name} circuit open for ${Math.round(cooldownMs / 1000)}s (${error.message})`);
+        }
+    }
+
+    getHealth() {
+        return {
+            name: this.name,
+            provider: this.provider,
+            model: this.model,
+            ...this.health,
+            openUntil: this.health.openUntil ? new Date(this.health.openUntil).toISOString() : null
+        };
+    }
+
+    async chat(messages, tools, onToken = null) {
+        this.health.requests++;
+        return this.api === 'anthropic'
+            ? this._callAnthropic(messages, tools, onToken)
+            : this._callOpenAI(messages, tools, onToken);
+    }
+
+    async _callOpenAI(messages, tools, onToken = null) {
+        const params = {
+            model: this.model,
+            messages,
+            max_tokens: 4096
+        };
+
+        if (tools?.length) {
+            params.tools = tools;
+            params.tool_choice = 'auto';
+        }
+
+        if (onToken) {
+            return this._streamOpenAI(params, onToken);
+        }
+
+        const response = await this.client.chat.completions.create(params);
+        const choice = response.choices[0];
+
+        return {
+            content: choice.message.content || '',
+            toolCalls: choice.message.tool_calls || null,
+            usage: response.usage
+        };
+    }
+
+    // Same result as _callOpenAI, assembled from streamed deltas
+    async _streamOpenAI(params, onToken) {
+        const stream = await this.client.chat.completions.create({
+            ...params,
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        let content = '';
+        const toolCalls = [];
+        let usage = null;
+
+        for await (const chunk of stream) {
+            if (chunk.usage) usage = chunk.usage;
+            const delta = chunk.choices?.[0]?.delta;
+            if (!delta) continue;
+
+            if (delta.content) {
+                content += delta.content;
+                onToken(delta.content);
+            }
+
+            // Tool calls arrive in pieces, keyed by index
+            for (const part of delta.tool_calls || []) {
+                const call = toolCalls[part.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+                if (part.id) call.id = part.id;
+                if (part.function?.name) call.function.name += part.function.name;
+                if (part.function?.arguments) call.function.arguments += part.function.arguments;
+            }
+        }
+
+        const calls = toolCalls.filter(Boolean);
+        return {
+            content,
+            toolCalls: calls.length > 0 ? calls : null,
+            usage
+        };
+    }
+
+    async _callAnthropic(messages, tools, onToken = null) {
+        const { system, messages: turns } = toAnthropicMessages(messages);
+
+        const params = {
+            model: this.model,
+            max_tokens: 4096,
+            system,
+            messages: turns
+        };
+
+        if (tools?.length) {
+            params.tools = toAnthropicTools(tools);
+        }
+
+        let response;
+        if (onToken) {
+            const stream = this.client.messages.stream(params);
+            stream.on('text', (text) => onToken(text));
+            response = await stream.finalMessage();
+        } else {
+            response = await this.client.messages.create(params);
+        }
+
+        return fromAnthropicResponse(response);
+    }
+}
+
+export { PROVIDER_DEFAULTS };
+export default LLMProvider;
@@ -0,0 +1,88 @@
+import { fileURLToPath } from 'url';
+import { dirname, join, basename } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+// Dish photos that aren't URLs live here (served at /menu-images by the dashboard)
+const MENU_IMAGES_DIR = join(projectRoot, 'data/menu/images');
+
+/**
+ * Channel-neutral responses
+ *
+ * Everything the agent sends is normalized to:
+ * {
+ *   text: 'Shall I book it?',
+ *   buttons: [{ id, label }],                          // quick replies
+ *   list: { button, sections: [{ title, rows: [{ id, title, description }] }] },
+ *   images: [{ url, caption }],                        // URL or file in data/menu/images
+ *   location: { latitude, longitude, name, address, mapsUrl }
+ * }
+ * Each channel renders what it supports; toPlainText() is the fallback,
+ * with numbered options the customer can answer with a number.
+ */
+
+export function normalizeResponse(response) {
+    if (response === null || response === undefined) return { text: '' };
+    if (typeof response === 'string') return { text: response };
+
+    return {
+        text: response.text || '',
+        ...(response.buttons?.length ? { buttons: response.buttons } : {}),
+        ...(response.list?.sections?.length ? { list: response.list } : {}),
+        ...(response.images?.length ? { images: response.images } : {}),
+        ...(response.location ? { location: response.location } : {})
+    };
+}
+
+// Merge rich parts a tool attached (data.reply) into the response
+export function mergeReply(response, reply) {
+    if (!reply) return response;
+    return normalizeResponse({
+        ...response,
+        buttons: [...(response.buttons || []), ...(reply.buttons || [])],
+        list: reply.list || response.list,
+        images: [...(response.images || []), ...(reply.images || [])],
+        location: reply.location || response.location
+    });
+}
+
+// Selectable options in the order they're numbered in the plain-text fallback
+export function getChoices(response) {
+    const { buttons = [], list } = normalizeResponse(response);
+    const rows = (list?.sections || []).flatMap(s => s.rows || []);
+    return [...buttons.map(b => b.label), ...rows.map(r => r.title)];
+}
+
+export function toPlainText(response) {
+    const reply = normalizeResponse(response);
+    const parts = [reply.text];
+
+    for (const image of reply.images || []) {
+        if (image.caption) parts.push(`🖼️ ${image.caption}`);
+    }
+
+    const choices = getChoices(reply);
+    if (choices.length) {
+        parts.push(choices.map((choice, i) => `${i + 1}. ${choice}`).join('\n') + '\n\n_Reply with a number_');
+    }
+
+    if (reply.location) {
+        const place = [reply.location.name, reply.location.address].filter(Boolean).join(', ');
+        parts.push(`📍 ${place ? `${place}\n` : ''}${reply.location.mapsUrl || `https://www.google.com/maps?q=${reply.location.latitude},${reply.location.longitude}`}`);
+    }
+
+    return parts.filter(Boolean).join('\n\n');
+}
+
+export function isRemoteImage(image) {
+    return /^https?:\/\//i.test(image.url || '');
+}
+
+// Local file for an image that isn't a URL
+export function resolveImagePath(image) {
+    return isRemoteImage(image) ? null : join(MENU_IMAGES_DIR, basename(image.url || ''));
+}
+
+export { MENU_IMAGES_DIR };
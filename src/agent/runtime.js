@@ -1,5 +1,6 @@
 import LLMClient from './llm.js';
 import ToolExecutor, { toolDefinitions } from './tools.js';
+import { normalizeResponse, mergeReply } from './responses.js';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -9,12 +10,15 @@ const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '../..');
 
 class AgentRuntime {
-    constructor(gateway, memoryStore = null, skillsManager = null) {
+    constructor(gateway, memoryStore = null, skillsManager = null, ordersManager = null, { handoff = null, usageTracker = null, knowledge = null } = {}) {
         this.gateway = gateway;
         this.memoryStore = memoryStore;
         this.skillsManager = skillsManager;
+        this.ordersManager = ordersManager;
         this.llm = null;
-        this.tools = new ToolExecutor();
+        this.handoff = handoff;
+        this.usageTracker = usageTracker;
+        this.tools = new ToolExecutor({ ordersManager, handoff, knowledge });
         this.maxToolCalls = 5;
         this.conversations = new Map();
     }
@@ -24,7 +28,7 @@ class AgentRuntime {
 
         // Initialize LLM
         try {
-            this.llm = new LLMClient();
+            this.llm = new LLMClient({ usageTracker: this.usageTracker });
         } catch (err) {
             console.error('❌ Failed to initialize LLM:', err.message);
             console.log('💡 Go to http://localhost:3000/setup.html to configure');
@@ -39,6 +43,11 @@ class AgentRuntime {
             await this.handleMessage(data);
         });
 
+        // Staff handed the chat back - remember what was said meanwhile
+        this.gateway.on('handoff:released', ({ sessionId, messages }) => {
+            this.appendToHistory(sessionId, messages);
+        });
+
         console.log('✅ Agent Runtime ready');
     }
 
@@ -90,7 +99,7 @@ ${rules}
 2. Always confirm details before finalizing orders or bookings
 3. Keep responses concise and friendly (WhatsApp-friendly)
 4. Use emoji appropriately
-5. If you need to know something about the business, use the search_knowledge tool
+5. If you need to know something about the business, use the search_knowledge tool and answer from the passages it returns - never guess policies. Name the document you took the answer from (e.g. "according to our allergen guide")
 6. Always end with a question to keep the conversation going
 7. Remember customer preferences for future interactions
 8. Learn from user corrections and teach yourself new patterns
@@ -98,139 +107,179 @@ ${rules}
 ${skillInstructions}
 
 When you need to perform actions, use the available tools.`;
+        } catch (err) {
+            console.error('❌ Failed to load system prompt:', err.message);
+            this.systemPrompt = 'You are a helpful assistant for this business.';
         }
+    }
 
-  async handleMessage({ channelName, sessionId, message, metadata, session }) {
-            console.log(`💬 [${channelName}] Session ${sessionId}: ${message.substring(0, 50)}...`);
+    async handleMessage({ channelName, sessionId, message, metadata, session }) {
+        console.log(`💬 [${channelName}] Session ${sessionId}: ${message.substring(0, 50)}...`);
+
+        await this.gateway.setTyping(channelName, sessionId, true);
+        // Tokens go to the dashboard as they are generated
+        const onToken = (token) => this.gateway.broadcast({
+            type: 'message:stream',
+            channel: channelName,
+            sessionId,
+            token,
+            timestamp: Date.now()
+        });
 
-            try {
-                // Get conversation history
-                const history = this.getConversationHistory(sessionId);
-
-                // Get customer memory if available
-                let customerContext = '';
-                if (this.memoryStore && metadata?.senderPhone) {
-                    const customer = this.memoryStore.getCustomer(metadata.senderPhone);
-                    if (customer.name || customer.preferences) {
-                        customerContext = `\n\n## Customer Context\n`;
-                        if (customer.name) customerContext += `- Name: ${customer.name}\n`;
-                        if (customer.preferences) customerContext += `- Preferences: ${JSON.stringify(customer.preferences)}\n`;
-                        if (customer.visitCount) customerContext += `- Previous visits: ${customer.visitCount}\n`;
-                    }
+        // Who the tokens are billed to
+        const attribution = {
+            sessionId,
+            channel: channelName,
+            customer: metadata?.senderPhone || session?.customerName || null
+        };
+
+        try {
+            // Get conversation history
+            const history = this.getConversationHistory(sessionId);
+
+            // Get customer memory if available
+            let customerContext = '';
+            if (this.memoryStore && metadata?.senderPhone) {
+                const customer = this.memoryStore.getCustomer(metadata.senderPhone);
+                if (customer.name || customer.preferences) {
+                    customerContext = `\n\n## Customer Context\n`;
+                    if (customer.name) customerContext += `- Name: ${customer.name}\n`;
+                    if (customer.preferences) customerContext += `- Preferences: ${JSON.stringify(customer.preferences)}\n`;
+                    if (customer.visitCount) customerContext += `- Previous visits: ${customer.visitCount}\n`;
                 }
+            }
+
+            // Build messages for LLM
+            const messages = [
+                { role: 'system', content: this.systemPrompt + customerContext },
+                ...history,
+                { role: 'user', content: message }
+            ];
+
+            // Call LLM with tools
+            const response = await this.llm.chat(messages, toolDefinitions, { onToken, attribution });
+
+            // Handle tool calls (ReAct loop)
+            let finalResponse = response.content;
+            let toolCallCount = 0;
+            // Buttons, lists, photos and map pins tools attach to the reply
+            const replyParts = [];
+            // Knowledge passages the answer is based on, for staff on the dashboard
+            const sources = [];
+
+            while (response.toolCalls && toolCallCount < this.maxToolCalls) {
+                // One assistant turn carries all of its (possibly parallel) tool calls,
+                // followed by one result per call
+                response.toolCalls.forEach((toolCall, i) => {
+                    toolCall.id = toolCall.id || `call_${toolCall.function.name}_${toolCallCount}_${i}`;
+                });
+                messages.push({
+                    role: 'assistant',
+                    content: response.content || null,
+                    tool_calls: response.toolCalls
+                });
 
-                // Build messages for LLM
-                const messages = [
-                    { role: 'system', content: this.systemPrompt + customerContext },
-                    ...history,
-                    { role: 'user', content: message }
-                ];
-
-                // Call LLM with tools
-                const response = await this.llm.chat(messages, toolDefinitions);
-
-                // Handle tool calls (ReAct loop)
-                let finalResponse = response.content;
-                let toolCallCount = 0;
-
-                while (response.toolCalls && toolCallCount < this.maxToolCalls) {
-                    // Add assistant's tool calls to history
-                    for (const toolCall of response.toolCalls) {
-                        const toolName = toolCall.function.name;
-                        const toolArgs = JSON.parse(toolCall.function.arguments);
-
-                        console.log(`🔧 Tool call: ${toolName}`, toolArgs);
-
-                        // Execute tool
-                        const result = await this.tools.execute(toolName, toolArgs);
-
-                        // Add tool result to messages
-                        messages.push({
-                            role: 'assistant',
-                            content: null,
-                            tool_calls: [toolCall]
-                        });
-                        messages.push({
-                            role: 'tool',
-                            tool_call_id: toolCall.id || `call_${toolName}`,
-                            content: JSON.stringify(result)
-                        });
+                for (const toolCall of response.toolCalls) {
+                    const toolName = toolCall.function.name;
+                    const toolArgs = JSON.parse(toolCall.function.arguments || '{}');
+
+                    console.log(`🔧 Tool call: ${toolName}`, toolArgs);
+
+                    // Execute tool
+                    const result = await this.tools.execute(toolName, toolArgs, { channelName, sessionId, metadata, session });
+                    if (result?.data?.reply) {
+                        replyParts.push(result.data.reply);
+                        delete result.data.reply;
+                    }
+                    for (const source of result?.data?.sources || []) {
+                        if (!sources.some(s => s.filename === source.filename && s.chunkIndex === source.chunkIndex)) {
+                            sources.push(source);
+                        }
                     }
 
-                    // Get next response from LLM
-                    const nextResponse = await this.llm.chat(messages, toolDefinitions);
-                    finalResponse = nextResponse.content;
-                    response.toolCalls = nextResponse.toolCalls;
-                    toolCallCount++;
+                    // Add tool result to messages
+                    messages.push({
+                        role: 'tool',
+                        tool_call_id: toolCall.id,
+                        content: JSON.stringify(result)
+                    });
                 }
 
-                // Save to conversation history
-                this.saveToHistory(sessionId, message, finalResponse);
+                // Get next response from LLM
+                const nextResponse = await this.llm.chat(messages, toolDefinitions, { onToken, attribution });
+                finalResponse = nextResponse.content;
+                response.content = nextResponse.content;
+                response.toolCalls = nextResponse.toolCalls;
+                toolCallCount++;
+            }
 
-                // Learn from conversation (if memory available)
-                if (this.memoryStore && metadata?.senderPhone) {
-                    await this.memoryStore.learnFromConversation(metadata.senderPhone, [
-                        { role: 'user', content: message },
-                        { role: 'assistant', content: finalResponse }
-                    ]);
-                }
+            // Staff took the chat over while we were thinking - they answer now
+            if (this.handoff?.isHumanHandling(sessionId)) {
+                this.appendToHistory(sessionId, [{ role: 'user', content: message, timestamp: Date.now() }]);
+                return;
+            }
 
-                // Send response via gateway
-                await this.gateway.sendResponse(channelName, sessionId, finalResponse);
+            // Save to conversation history
+            this.saveToHistory(sessionId, message, finalResponse);
 
-            } catch (err) {
-                console.error('❌ Agent error:', err);
-                const errorMsg = "I apologize, but I encountered an issue processing your request. Please try again or contact us directly.";
-                await this.gateway.sendResponse(channelName, sessionId, errorMsg);
+            // Learn from conversation (if memory available)
+            if (this.memoryStore && metadata?.senderPhone) {
+                await this.memoryStore.learnFromConversation(metadata.senderPhone, [
+                    { role: 'user', content: message },
+                    { role: 'assistant', content: finalResponse }
+                ]);
             }
-        }
 
-        getConversationHistory(sessionId) {
-            const session = this.conversations.get(sessionId);
-            if (!session) return [];
+            // Send response via gateway
+            const reply = replyParts.reduce((merged, part) => mergeReply(merged, part), normalizeResponse(finalResponse));
+            await this.gateway.sendResponse(channelName, sessionId, reply, { sources: sources.length ? sources : null });
 
-            // Return last 10 messages for context
-            return session.messages.slice(-10).map(m => ({
-                role: m.role,
-                content: m.content
-            }));
+        } catch (err) {
+            console.error('❌ Agent error:', err);
+            const errorMsg = "I apologize, but I encountered an issue processing your request. Please try again or contact us directly.";
+            await this.gateway.sendResponse(channelName, sessionId, errorMsg);
+        } finally {
+            this.gateway.broadcast({ type: 'message:stream', channel: channelName, sessionId, done: true, timestamp: Date.now() });
+            await this.gateway.setTyping(channelName, sessionId, false);
         }
+    }
 
-        saveToHistory(sessionId, userMessage, assistantMessage) {
-            if (!this.conversations.has(sessionId)) {
-                this.conversations.set(sessionId, { messages: [] });
-            }
+    getConversationHistory(sessionId) {
+        const session = this.conversations.get(sessionId);
+        if (!session) return [];
 
-            const session = this.conversations.get(sessionId);
-            session.messages.push(
-                { role: 'user', content: userMessage, timestamp: Date.now() },
-                { role: 'assistant', content: assistantMessage, timestamp: Date.now() }
-            );
+        // Return last 10 messages for context
+        return session.messages.slice(-10).map(m => ({
+            role: m.role,
+            content: m.content
+        }));
+    }
 
-            // Keep only last 50 messages
-            if (session.messages.length > 50) {
-                session.messages = session.messages.slice(-50);
-            }
-        }
+    saveToHistory(sessionId, userMessage, assistantMessage) {
+        this.appendToHistory(sessionId, [
+            { role: 'user', content: userMessage, timestamp: Date.now() },
+            { role: 'assistant', content: assistantMessage, timestamp: Date.now() }
+        ]);
+    }
 
-  async processAdminMessage(sessionId, message) {
-            // Handle admin-triggered messages (from dashboard)
-            const session = this.gateway.getSession(sessionId);
-            if (session) {
-                await this.handleMessage({
-                    channelName: 'admin',
-                    sessionId,
-                    message,
-                    metadata: { senderName: 'Admin' },
-                    session
-                });
-            }
+    appendToHistory(sessionId, messages) {
+        if (!this.conversations.has(sessionId)) {
+            this.conversations.set(sessionId, { messages: [] });
         }
 
-  // Reload system prompt (for when config changes)
-  async reloadPrompt() {
-            await this.loadSystemPrompt();
+        const session = this.conversations.get(sessionId);
+        session.messages.push(...messages.map(m => ({ role: m.role, content: m.content, timestamp: m.timestamp })));
+
+        // Keep only last 50 messages
+        if (session.messages.length > 50) {
+            session.messages = session.messages.slice(-50);
         }
     }
 
+    // Reload system prompt (for when config changes)
+    async reloadPrompt() {
+        await this.loadSystemPrompt();
+    }
+}
+
 export default AgentRuntime;
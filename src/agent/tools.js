@@ -1,6 +1,10 @@
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import OrdersManager from '../orders/manager.js';
+import MenuCatalogue from '../menu/catalogue.js';
+import OrderPricer from '../orders/pricing.js';
+import RAGSystem from '../knowledge/rag.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,11 +28,22 @@ const toolDefinitions = [
         type: 'function',
         function: {
             name: 'get_menu',
-            description: 'Get the complete menu or service list with prices',
+            description: 'Get menu items with prices, descriptions, allergens, dietary tags, modifiers (size/extras) and whether they are sold out',
             parameters: {
                 type: 'object',
                 properties: {
-                    category: { type: 'string', description: 'Optional category filter (e.g., "drinks", "mains")' }
+                    category: { type: 'string', description: 'Optional category filter (e.g., "drinks", "mains")' },
+                    dietary: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Only items with all of these dietary tags (e.g., ["vegan"], ["gluten-free"])'
+                    },
+                    excludeAllergens: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Leave out items containing these allergens (e.g., ["nuts", "dairy"])'
+                    },
+                    query: { type: 'string', description: 'Optional search text matched against item names and descriptions' }
                 },
                 required: []
             }
@@ -38,7 +53,7 @@ const toolDefinitions = [
         type: 'function',
         function: {
             name: 'check_availability',
-            description: 'Check if tables or appointments are available for a specific date and time',
+            description: 'Check if tables are available for a specific date, time and party size. Returns nearby alternative times when the slot is full',
             parameters: {
                 type: 'object',
                 properties: {
@@ -69,6 +84,53 @@ const toolDefinitions = [
             }
         }
     },
+    {
+        type: 'function',
+        function: {
+            name: 'find_booking',
+            description: "Look up the customer's own reservations - all upcoming ones, or one by booking id (BK-...). Only bookings made with the number they are messaging from are found",
+            parameters: {
+                type: 'object',
+                properties: {
+                    bookingId: { type: 'string', description: 'Booking id, e.g. BK-1718000000000' }
+                },
+                required: []
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'modify_booking',
+            description: 'Change the date, time, party size or notes of an existing reservation. Availability is re-checked automatically',
+            parameters: {
+                type: 'object',
+                properties: {
+                    bookingId: { type: 'string', description: 'Booking id to change' },
+                    date: { type: 'string', description: 'New date in YYYY-MM-DD format' },
+                    time: { type: 'string', description: 'New time in HH:MM format' },
+                    guests: { type: 'number', description: 'New number of guests' },
+                    notes: { type: 'string', description: 'Updated special requests' }
+                },
+                required: ['bookingId']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'cancel_booking',
+            description: 'Cancel an existing reservation',
+            parameters: {
+                type: 'object',
+                properties: {
+                    bookingId: { type: 'string', description: 'Booking id to cancel' },
+                    reason: { type: 'string', description: 'Optional reason for cancelling' }
+                },
+                required: ['bookingId']
+            }
+        }
+    },
     {
         type: 'function',
         function: {
@@ -79,13 +141,14 @@ const toolDefinitions = [
                 properties: {
                     items: {
                         type: 'array',
-                        description: 'Array of {name, quantity, price} objects',
+                        description: 'Array of {name, quantity, modifiers, notes} objects. Prices come from the menu',
                         items: {
                             type: 'object',
                             properties: {
-                                name: { type: 'string' },
+                                name: { type: 'string', description: 'Menu item name' },
                                 quantity: { type: 'number' },
-                                price: { type: 'number' }
+                                modifiers: { type: 'array', items: { type: 'string' }, description: 'Chosen options, e.g. ["Large", "Extra cheese"]' },
+                                notes: { type: 'string', description: 'Special instructions for this item' }
                             },
                             required: ['name', 'quantity']
                         }
@@ -93,7 +156,7 @@ const toolDefinitions = [
                     customerName: { type: 'string', description: 'Customer name' },
                     customerPhone: { type: 'string', description: 'Customer phone' },
                     delivery: { type: 'boolean', description: 'Is this for delivery?' },
-                    address: { type: 'string', description: 'Delivery address if applicable' }
+                    address: { type: 'string', description: 'Delivery address if applicable. Leave empty to use the location pin the customer shared' }
                 },
                 required: ['items', 'customerName', 'customerPhone']
             }
@@ -111,6 +174,20 @@ const toolDefinitions = [
             }
         }
     },
+    {
+        type: 'function',
+        function: {
+            name: 'show_options',
+            description: 'Show the customer tappable quick-reply options with your next message, e.g. ["Confirm booking", "Change something"]. Their choice comes back as a normal message',
+            parameters: {
+                type: 'object',
+                properties: {
+                    options: { type: 'array', items: { type: 'string' }, description: 'Short option labels (max 10, up to 3 show as buttons)' }
+                },
+                required: ['options']
+            }
+        }
+    },
     {
         type: 'function',
         function: {
@@ -137,8 +214,11 @@ const toolDefinitions = [
                 type: 'object',
                 properties: {
                     customerName: { type: 'string', description: 'Customer name' },
+                    customerPhone: { type: 'string', description: 'Customer phone, if known' },
                     rating: { type: 'number', description: 'Rating from 1-5' },
-                    comment: { type: 'string', description: 'Optional comment' }
+                    comment: { type: 'string', description: 'Optional comment' },
+                    orderId: { type: 'string', description: 'Order the feedback is about, if known' },
+                    bookingId: { type: 'string', description: 'Booking (BK-...) the feedback is about, if known' }
                 },
                 required: ['rating']
             }
@@ -164,11 +244,11 @@ const toolDefinitions = [
         type: 'function',
         function: {
             name: 'search_knowledge',
-            description: 'Search the knowledge base for information about policies, FAQs, or business details',
+            description: 'Search the knowledge base for information about policies, FAQs, or business details. Returns the best matching passages with the document they come from',
             parameters: {
                 type: 'object',
                 properties: {
-                    query: { type: 'string', description: 'Search query' }
+                    query: { type: 'string', description: 'Search query, e.g. the customer\'s question' }
                 },
                 required: ['query']
             }
@@ -178,23 +258,24 @@ const toolDefinitions = [
         type: 'function',
         function: {
             name: 'calculate_price',
-            description: 'Calculate the total price for a list of items',
+            description: 'Calculate the total price for a list of menu items, including modifiers, delivery fee and tax',
             parameters: {
                 type: 'object',
                 properties: {
                     items: {
                         type: 'array',
-                        description: 'Array of {name, quantity, unitPrice} objects',
+                        description: 'Array of {name, quantity, modifiers} objects. Prices come from the menu',
                         items: {
                             type: 'object',
                             properties: {
-                                name: { type: 'string' },
+                                name: { type: 'string', description: 'Menu item name' },
                                 quantity: { type: 'number' },
-                                unitPrice: { type: 'number' }
+                                modifiers: { type: 'array', items: { type: 'string' }, description: 'Chosen options, e.g. ["Large"]' }
                             },
-                            required: ['name', 'quantity', 'unitPrice']
+                            required: ['name', 'quantity']
                         }
-                    }
+                    },
+                    delivery: { type: 'boolean', description: 'Include the delivery fee' }
                 },
                 required: ['items']
             }
@@ -204,10 +285,16 @@ const toolDefinitions = [
 
 // Tool executor
 class ToolExecutor {
-    constructor() {
+    constructor({ ordersManager = null, handoff = null, knowledge = null } = {}) {
         this.tools = toolDefinitions;
+        // Shares the app's OrdersManager so everything goes through one repository
+        this.ordersManager = ordersManager || new OrdersManager(null);
+        this.handoff = handoff;
+        // Shares the app's RAGSystem (index and embeddings); one is loaded on first search otherwise
+        this.knowledge = knowledge;
         this.businessConfig = null;
         this.orders = [];
+        this.menu = new MenuCatalogue();
     }
 
     async loadBusinessConfig() {
@@ -232,32 +319,41 @@ class ToolExecutor {
         return this.tools;
     }
 
-    async execute(toolName, args) {
+    // context carries the channel/session the conversation came from
+    async execute(toolName, args, context = {}) {
         await this.loadBusinessConfig();
 
         switch (toolName) {
             case 'get_business_info':
                 return this.getBusinessInfo();
             case 'get_menu':
-                return this.getMenu(args.category);
+                return this.getMenu(args);
             case 'check_availability':
                 return this.checkAvailability(args.date, args.time, args.guests);
             case 'create_booking':
                 return this.createBooking(args);
+            case 'find_booking':
+                return this.findBooking(args, context);
+            case 'modify_booking':
+                return this.modifyBooking(args, context);
+            case 'cancel_booking':
+                return this.cancelBooking(args, context);
             case 'take_order':
-                return this.takeOrder(args);
+                return this.takeOrder(args, context);
             case 'get_directions':
                 return this.getDirections();
+            case 'show_options':
+                return this.showOptions(args);
             case 'handle_complaint':
-                return this.handleComplaint(args);
+                return this.handleComplaint(args, context);
             case 'collect_feedback':
-                return this.collectFeedback(args);
+                return this.collectFeedback(args, context);
             case 'escalate':
-                return this.escalate(args);
+                return this.escalate(args, context);
             case 'search_knowledge':
                 return this.searchKnowledge(args.query);
             case 'calculate_price':
-                return this.calculatePrice(args.items);
+                return this.calculatePrice(args);
             default:
                 throw new Error(`Unknown tool: ${toolName}`);
         }
@@ -278,56 +374,145 @@ class ToolExecutor {
         };
     }
 
-    async getMenu(category = null) {
-        const services = this.businessConfig.services || [];
-        let menu = services.map(s => {
-            const parts = s.split(/[-—]/);
+    async getMenu({ category = null, dietary = [], excludeAllergens = [], query = null } = {}) {
+        await this.menu.load(this.businessConfig);
+        const { currency, categories, items } = this.menu.getMenu({ category, dietary, excludeAllergens, query });
+
+        const menu = items.map(item => ({
+            name: item.name,
+            category: item.category,
+            description: item.description || '',
+            price: item.price,
+            allergens: item.allergens || [],
+            dietary: item.dietary || [],
+            modifiers: item.modifiers.map(g => ({
+                name: g.name,
+                required: !!g.required,
+                options: g.options.map(o => `${o.name}${o.price ? ` (+${currency}${o.price})` : ''}`)
+            })),
+            available: item.available
+        }));
+
+        return {
+            success: true,
+            data: {
+                currency,
+                categories: categories.map(c => c.name),
+                menu,
+                count: menu.length,
+                reply: this.menuReply(categories, items, currency, { browsing: !category && !query && !dietary?.length })
+            }
+        };
+    }
+
+    // Category picker when browsing the whole menu, dish photos for a short selection
+    menuReply(categories, items, currency, { browsing }) {
+        if (browsing && categories.length > 1) {
             return {
-                name: parts[0]?.trim() || s,
-                price: parts[1]?.trim() || 'TBD'
+                list: {
+                    button: 'View menu',
+                    sections: [{
+                        title: 'Menu',
+                        rows: categories.slice(0, 10).map(c => ({ id: `category:${c.id}`, title: c.name, description: c.description || '' }))
+                    }]
+                }
             };
-        });
+        }
 
-        if (category) {
-            menu = menu.filter(item =>
-                item.name.toLowerCase().includes(category.toLowerCase())
-            );
+        const withPhotos = items.filter(i => i.image);
+        if (withPhotos.length && items.length <= 5) {
+            return {
+                images: withPhotos.map(i => ({
+                    url: i.image,
+                    caption: `${i.name}${typeof i.price === 'number' ? ` - ${currency}${i.price}` : ''}`
+                }))
+            };
         }
 
-        return { success: true, data: { menu, count: menu.length } };
+        return null;
+    }
+
+    showOptions({ options = [] }) {
+        const labels = [...new Set(options.map(o => String(o).trim()).filter(Boolean))].slice(0, 10);
+        if (!labels.length) {
+            return { success: false, error: 'No options given' };
+        }
+
+        // WhatsApp and most chat apps fit three buttons; more become a list
+        const reply = labels.length <= 3
+            ? { buttons: labels.map((label, i) => ({ id: `option:${i + 1}`, label })) }
+            : { list: { button: 'Choose', sections: [{ title: 'Options', rows: labels.map((title, i) => ({ id: `option:${i + 1}`, title })) }] } };
+
+        return {
+            success: true,
+            data: { shown: labels, message: 'Options will be shown under your next message. Do not repeat them as a list.', reply }
+        };
     }
 
     async checkAvailability(date, time, guests) {
-        // Simple availability check - in production, this would check a database
-        // Assume available for now
+        const result = await this.ordersManager.checkAvailability(date, time, guests);
+
+        if (result.available) {
+            return {
+                success: true,
+                data: {
+                    available: true,
+                    date,
+                    time,
+                    guests,
+                    section: result.section,
+                    durationMinutes: result.durationMinutes,
+                    message: `Great news! We have availability for ${guests} guests on ${date} at ${time}.`
+                }
+            };
+        }
+
         return {
             success: true,
             data: {
-                available: true,
+                available: false,
                 date,
                 time,
                 guests,
-                message: `Great news! We have availability for ${guests} guests on ${date} at ${time}.`
+                reason: result.reason,
+                alternatives: result.alternatives,
+                message: this.formatUnavailableMessage(result, guests)
             }
         };
     }
 
-    async createBooking({ date, time, guests, name, phone, notes = '' }) {
-        const booking = {
-            id: `BK-${Date.now()}`,
-            date,
-            time,
-            guests,
-            name,
-            phone,
-            notes,
-            status: 'confirmed',
-            createdAt: new Date().toISOString()
+    formatUnavailableMessage({ reason, alternatives }, guests) {
+        const reasons = {
+            invalid_datetime: 'I need the date as YYYY-MM-DD and the time as HH:MM to check that.',
+            in_past: 'That time has already passed.',
+            party_too_large: `We can't seat ${guests} guests with a regular booking - please contact us directly for large groups.`,
+            closed: `We're not taking bookings at that time.`,
+            fully_booked: `Sorry, we're fully booked for ${guests} guests at that time.`
         };
 
-        // Save booking
-        await this.saveBooking(booking);
+        let message = reasons[reason] || 'That slot is not available.';
+        if (alternatives?.length) {
+            message += `\n\nAvailable alternatives:\n${alternatives.map(a => `• ${a.date} at ${a.time}`).join('\n')}`;
+        }
+        return message;
+    }
+
+    async createBooking({ date, time, guests, name, phone, notes = '' }) {
+        const result = await this.ordersManager.createBooking({ date, time, guests, name, phone, notes }, this.businessConfig);
 
+        if (!result.success) {
+            return {
+                success: false,
+                error: result.error,
+                data: {
+                    available: false,
+                    alternatives: result.alternatives,
+                    message: this.formatUnavailableMessage(result, guests)
+                }
+            };
+        }
+
+        const { booking } = result;
         return {
             success: true,
             data: {
@@ -337,92 +522,228 @@ class ToolExecutor {
         };
     }
 
-    async saveBooking(booking) {
-        try {
-            const ordersDir = join(projectRoot, 'data/orders');
-            await fs.mkdir(ordersDir, { recursive: true });
-            const filePath = join(ordersDir, 'bookings.json');
-
-            let bookings = [];
-            try {
-                const data = await fs.readFile(filePath, 'utf-8');
-                bookings = JSON.parse(data);
-            } catch (e) { }
-
-            bookings.push(booking);
-            await fs.writeFile(filePath, JSON.stringify(bookings, null, 2));
-        } catch (err) {
-            console.error('❌ Error saving booking:', err.message);
+    describeBooking(b) {
+        return `#${b.id}: ${b.date} at ${b.time}, ${b.guests} guests (${b.name}) - ${b.status}`;
+    }
+
+    // What the model sees of a booking - the customer's phone stays out of the transcript
+    publicBooking(booking) {
+        const { phone, ...rest } = booking;
+        return rest;
+    }
+
+    bookingError(error) {
+        const messages = {
+            not_found: `I couldn't find that booking. Could you double-check the booking number?`,
+            phone_mismatch: `That booking was made with a different phone number, so I can't change it from here.`,
+            phone_unknown: `I can only look up bookings when you message us from the phone number you booked with. Please contact the restaurant directly.`,
+            booking_cancelled: 'That booking has already been cancelled.',
+            booking_completed: 'That booking is already in the past.',
+            booking_no_show: 'That booking is already in the past.'
+        };
+        return messages[error];
+    }
+
+    // Bookings belong to the number the customer is messaging from, never one the model passes in
+    senderPhone(context) {
+        return context.metadata?.senderPhone || null;
+    }
+
+    async findBooking({ bookingId = null }, context = {}) {
+        const phone = this.senderPhone(context);
+        if (!phone) {
+            return { success: false, error: 'phone_unknown', data: { message: this.bookingError('phone_unknown') } };
         }
+
+        const bookings = await this.ordersManager.findBookings({ bookingId, phone });
+
+        return {
+            success: true,
+            data: {
+                bookings: bookings.map(b => this.publicBooking(b)),
+                count: bookings.length,
+                message: bookings.length > 0
+                    ? `Found ${bookings.length} booking(s):\n${bookings.map(b => `• ${this.describeBooking(b)}`).join('\n')}`
+                    : `No upcoming bookings found.`
+            }
+        };
     }
 
-    async takeOrder({ items, customerName, customerPhone, delivery = false, address = '' }) {
-        let total = 0;
-        const orderItems = items.map(item => {
-            const price = typeof item.price === 'number' ? item.price : parseFloat(item.price.replace(/[^0-9.]/g, '')) || 0;
-            total += price * item.quantity;
-            return { ...item, price, total: price * item.quantity };
-        });
+    async modifyBooking({ bookingId, date, time, guests, notes }, context = {}) {
+        const phone = this.senderPhone(context);
+        if (!phone) {
+            return { success: false, error: 'phone_unknown', data: { message: this.bookingError('phone_unknown') } };
+        }
+
+        const result = await this.ordersManager.modifyBooking(bookingId, { date, time, guests, notes }, { phone });
+
+        if (!result.success) {
+            return {
+                success: false,
+                error: result.error,
+                data: {
+                    alternatives: result.alternatives || [],
+                    message: this.bookingError(result.error) ||
+                        this.formatUnavailableMessage(result, result.guests)
+                }
+            };
+        }
+
+        const { booking } = result;
+        return {
+            success: true,
+            data: {
+                booking: this.publicBooking(booking),
+                message: `✅ Booking #${booking.id} updated: ${booking.date} at ${booking.time} for ${booking.guests} guests.`
+            }
+        };
+    }
+
+    async cancelBooking({ bookingId, reason = '' }, context = {}) {
+        const phone = this.senderPhone(context);
+        if (!phone) {
+            return { success: false, error: 'phone_unknown', data: { message: this.bookingError('phone_unknown') } };
+        }
+
+        const result = await this.ordersManager.cancelBooking(bookingId, { phone, reason });
+
+        if (!result.success) {
+            return { success: false, error: result.error, data: { message: this.bookingError(result.error) } };
+        }
+
+        return {
+            success: true,
+            data: {
+                booking: this.publicBooking(result.booking),
+                message: `Your booking #${result.booking.id} for ${result.booking.date} at ${result.booking.time} has been cancelled.`
+            }
+        };
+    }
+
+    async quoteOrder(items, delivery) {
+        await this.menu.load(this.businessConfig);
+        const pricer = new OrderPricer(this.menu, this.businessConfig);
+        return { pricer, quote: pricer.quote(items || [], { delivery }) };
+    }
+
+    formatQuote(quote) {
+        const c = quote.currency;
+        let text = quote.items.map(i => {
+            const mods = i.modifiers.length ? ` (${i.modifiers.map(m => m.name).join(', ')})` : '';
+            return `• ${i.quantity}x ${i.name}${mods} - ${c}${i.total}`;
+        }).join('\n');
+
+        if (quote.deliveryFee) text += `\nDelivery: ${c}${quote.deliveryFee}`;
+        text += `\n\nTotal: ${c}${quote.total}`;
+        if (quote.tax) text += ` (incl. ${c}${quote.tax} tax)`;
+        return text;
+    }
+
+    rejectQuote(pricer, quote) {
+        return {
+            success: false,
+            error: 'invalid_items',
+            data: {
+                errors: quote.errors,
+                message: `I couldn't price that order:\n${quote.errors.map(e => `• ${pricer.describeError(e)}`).join('\n')}`
+            }
+        };
+    }
+
+    async takeOrder({ items, customerName, customerPhone, delivery = false, address = '' }, context = {}) {
+        const kitchen = await this.ordersManager.getKitchenStatus();
+        if (!kitchen.open) {
+            return {
+                success: false,
+                error: 'kitchen_closed',
+                data: { message: `Sorry, our kitchen isn't taking orders right now${kitchen.reason ? ` (${kitchen.reason})` : ''}. Please try again later.` }
+            };
+        }
+
+        const { pricer, quote } = await this.quoteOrder(items, delivery);
+        if (!quote.success) {
+            return this.rejectQuote(pricer, quote);
+        }
+
+        // A location pin shared in the chat is the most precise delivery address
+        const location = delivery ? context.session?.location || null : null;
+        if (location && !address) {
+            address = location.label;
+        }
+        if (delivery && !address) {
+            return { success: false, error: 'Delivery address required - ask for the address or a location pin' };
+        }
 
         const order = {
             id: `ORD-${Date.now()}`,
-            items: orderItems,
-            total,
+            items: quote.items,
+            subtotal: quote.subtotal,
+            deliveryFee: quote.deliveryFee,
+            tax: quote.tax,
+            total: quote.total,
+            currency: quote.currency,
             customerName,
             customerPhone,
             delivery,
             address,
+            location,
+            channel: context.channelName || null,
+            sessionId: context.sessionId || null,
             status: 'pending',
+            statusHistory: [{ status: 'pending', note: 'Placed via chat', at: new Date().toISOString() }],
             createdAt: new Date().toISOString()
         };
 
         // Save order
-        await this.saveOrder(order);
+        await this.ordersManager.addOrder(order);
 
         return {
             success: true,
             data: {
                 order,
-                message: `📦 Order #${order.id} received!\n\n${orderItems.map(i => `• ${i.quantity}x ${i.name} - R${i.total}`).join('\n')}\n\nTotal: R${total}\n\n${delivery ? `🚚 Delivery to: ${address}` : '🏠 Pickup'}\n\nWe'll confirm when ready!`
+                message: `📦 Order #${order.id} received!\n\n${this.formatQuote(quote)}\n\n${delivery ? `🚚 Delivery to: ${address}${location ? ` (📍 ${location.mapsUrl})` : ''}` : '🏠 Pickup'}\n\nWe'll confirm when ready!`
             }
         };
     }
 
-    async saveOrder(order) {
-        try {
-            const ordersDir = join(projectRoot, 'data/orders');
-            await fs.mkdir(ordersDir, { recursive: true });
-            const filePath = join(ordersDir, 'orders.json');
-
-            let orders = [];
-            try {
-                const data = await fs.readFile(filePath, 'utf-8');
-                orders = JSON.parse(data);
-            } catch (e) { }
-
-            orders.push(order);
-            await fs.writeFile(filePath, JSON.stringify(orders, null, 2));
-        } catch (err) {
-            console.error('❌ Error saving order:', err.message);
-        }
-    }
-
     async getDirections() {
         const mapsUrl = this.businessConfig.location?.googleMapsUrl ||
             `https://www.google.com/maps/search/${encodeURIComponent(this.businessConfig.name + ' ' + this.businessConfig.location?.address)}`;
 
+        const { latitude, longitude } = this.businessConfig.location || {};
+
         return {
             success: true,
             data: {
                 address: this.businessConfig.location?.address || '',
                 city: this.businessConfig.location?.city || '',
                 mapsUrl,
+                // Map pin on channels that support it (needs coordinates in business.json)
+                reply: typeof latitude === 'number' && typeof longitude === 'number'
+                    ? {
+                        location: {
+                            latitude,
+                            longitude,
+                            name: this.businessConfig.name,
+                            address: [this.businessConfig.location.address, this.businessConfig.location.city].filter(Boolean).join(', '),
+                            mapsUrl
+                        }
+                    }
+                    : null,
                 message: `📍 ${this.businessConfig.name}\n${this.businessConfig.location?.address || ''}, ${this.businessConfig.location?.city || ''}\n\n[Open in Google Maps](${mapsUrl})`
             }
         };
     }
 
-    async handleComplaint({ customerName, customerPhone, issue, urgency = 'medium' }) {
+    // Photos / voice notes the customer sent in the last day, e.g. of a wrong order
+    recentMedia(session) {
+        const since = Date.now() - 24 * 60 * 60 * 1000;
+        return (session?.media || [])
+            .filter(m => new Date(m.createdAt).getTime() >= since)
+            .map(m => ({ id: m.id, kind: m.kind, file: m.file, caption: m.caption || '', transcript: m.transcript || null }));
+    }
+
+    async handleComplaint({ customerName, customerPhone, issue, urgency = 'medium' }, context = {}) {
         const complaint = {
             id: `CMPL-${Date.now()}`,
             customerName,
@@ -430,11 +751,17 @@ class ToolExecutor {
             issue,
             urgency,
             status: 'open',
+            assignee: null,
+            notes: [],
+            channel: context.channelName || null,
+            sessionId: context.sessionId || null,
+            media: this.recentMedia(context.session),
+            statusHistory: [{ status: 'open', note: 'Logged via chat', at: new Date().toISOString() }],
             createdAt: new Date().toISOString()
         };
 
         // Save complaint
-        await this.saveComplaint(complaint);
+        await this.ordersManager.addComplaint(complaint);
 
         const response = {
             success: true,
@@ -451,40 +778,31 @@ class ToolExecutor {
             await this.escalate({
                 reason: `Customer complaint: ${issue}`,
                 customerInfo: `${customerName} - ${customerPhone}`,
-                details: `Urgency: ${urgency}`
-            });
+                details: `Urgency: ${urgency} (complaint #${complaint.id})`
+            }, context);
         }
 
         return response;
     }
 
-    async saveComplaint(complaint) {
-        try {
-            const ordersDir = join(projectRoot, 'data/orders');
-            await fs.mkdir(ordersDir, { recursive: true });
-            const filePath = join(ordersDir, 'complaints.json');
-
-            let complaints = [];
-            try {
-                const data = await fs.readFile(filePath, 'utf-8');
-                complaints = JSON.parse(data);
-            } catch (e) { }
-
-            complaints.push(complaint);
-            await fs.writeFile(filePath, JSON.stringify(complaints, null, 2));
-        } catch (err) {
-            console.error('❌ Error saving complaint:', err.message);
+    async collectFeedback({ customerName, customerPhone, rating, comment = '', orderId = null, bookingId = null }, context = {}) {
+        rating = Math.round(Number(rating));
+        if (!(rating >= 1 && rating <= 5)) {
+            return { success: false, error: 'Rating must be a number from 1 to 5' };
         }
-    }
 
-    async collectFeedback({ customerName, rating, comment = '' }) {
-        const feedback = {
+        const feedback = await this.ordersManager.addFeedback({
             id: `FB-${Date.now()}`,
-            customerName,
+            customerName: customerName || null,
+            customerPhone: customerPhone || context.metadata?.senderPhone || null,
             rating,
             comment,
+            orderId,
+            bookingId,
+            channel: context.channelName || null,
+            sessionId: context.sessionId || null,
             createdAt: new Date().toISOString()
-        };
+        });
 
         return {
             success: true,
@@ -495,80 +813,82 @@ class ToolExecutor {
         };
     }
 
-    async escalate({ reason, customerInfo = '', details = '' }) {
-        // In production, this would send a notification to the owner
+    async escalate({ reason, customerInfo = '', details = '' }, context = {}) {
         const escalation = {
             id: `ESC-${Date.now()}`,
             reason,
             customerInfo,
             details,
+            channel: context.channelName || null,
+            sessionId: context.sessionId || null,
             status: 'pending',
             createdAt: new Date().toISOString()
         };
 
         console.log(`🚨 ESCALATION: ${reason}`);
-        console.log(`   Customer: ${customerInfo}`);
-        console.log(`   Details: ${details}`);
+
+        // Saved and sent to the owner through the notification outbox
+        await this.ordersManager.addEscalation(escalation);
+
+        // Queue the chat for a person on the dashboard
+        const queued = this.handoff?.config.on_escalate && context.sessionId
+            ? this.handoff.requestHuman(context.sessionId, reason).success
+            : false;
 
         return {
             success: true,
             data: {
                 escalation,
-                message: `⚠️ Your concern has been escalated to our management team. They will contact you as soon as possible.`
+                waitingForHuman: queued,
+                message: queued
+                    ? `⚠️ Your concern has been escalated to our management team. A member of our team will join this chat shortly.`
+                    : `⚠️ Your concern has been escalated to our management team. They will contact you as soon as possible.`
             }
         };
     }
 
     async searchKnowledge(query) {
-        // Search through business knowledge files
-        const knowledgeDir = join(projectRoot, 'data/business');
-        let results = [];
-
-        try {
-            const files = await fs.readdir(knowledgeDir);
-            for (const file of files) {
-                if (file.endsWith('.md')) {
-                    const content = await fs.readFile(join(knowledgeDir, file), 'utf-8');
-                    if (content.toLowerCase().includes(query.toLowerCase())) {
-                        results.push({ file, content: content.substring(0, 500) });
-                    }
-                }
-            }
-        } catch (err) {
-            // Knowledge directory may not exist yet
+        if (!this.knowledge) {
+            this.knowledge = new RAGSystem();
+            await this.knowledge.initialize();
         }
 
+        const results = (await this.knowledge.search(query, 3)).map(r => ({
+            source: r.filename,
+            chunkIndex: r.chunkIndex,
+            score: r.score,
+            content: r.content
+        }));
+
         return {
             success: true,
             data: {
                 query,
                 results,
+                // Shown to staff with the reply on the dashboard
+                sources: results.map(r => ({ filename: r.source, chunkIndex: r.chunkIndex })),
                 message: results.length > 0
-                    ? `Found ${results.length} result(s) for "${query}"`
+                    ? `Found ${results.length} passage(s) for "${query}", best first. Answer only from these passages.`
                     : `No specific information found for "${query}". Please contact us directly.`
             }
         };
     }
 
-    async calculatePrice(items) {
-        let total = 0;
-        const breakdown = items.map(item => {
-            const subtotal = item.quantity * item.unitPrice;
-            total += subtotal;
-            return {
-                name: item.name,
-                quantity: item.quantity,
-                unitPrice: item.unitPrice,
-                subtotal
-            };
-        });
+    async calculatePrice({ items, delivery = false }) {
+        const { pricer, quote } = await this.quoteOrder(items, delivery);
+        if (!quote.success) {
+            return this.rejectQuote(pricer, quote);
+        }
 
         return {
             success: true,
             data: {
-                items: breakdown,
-                total,
-                message: breakdown.map(i => `• ${i.quantity}x ${i.name} = R${i.subtotal}`).join('\n') + `\n\nTotal: R${total}`
+                items: quote.items,
+                subtotal: quote.subtotal,
+                deliveryFee: quote.deliveryFee,
+                tax: quote.tax,
+                total: quote.total,
+                message: this.formatQuote(quote)
             }
         };
     }
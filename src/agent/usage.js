@@ -0,0 +1,198 @@
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import OrdersRepository from '../orders/repository.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+// USD per million tokens; config/agent.json "llm.prices" adds to or overrides these
+const DEFAULT_PRICES = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+    'deepseek-chat': { input: 0.27, output: 1.1 },
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 }
+};
+
+const DEFAULT_BUDGET = {
+    // Spend limits in USD; null = no limit
+    daily: null,
+    monthly: null,
+    // 'cheaper_model' switches to cheaper_model, 'message' answers with message
+    on_exceeded: 'message',
+    cheaper_model: null,
+    message: "Sorry, I can't chat right now. Please call us or try again later and our team will gladly help."
+};
+
+/**
+ * Usage Tracker
+ * Tokens and cost of every LLM call, attributed to session, channel and customer.
+ * Stored per month under data/usage (usage-YYYY-MM.json) so files stay small.
+ */
+class UsageTracker {
+    constructor({ repository = null } = {}) {
+        this.repository = repository || new OrdersRepository(join(projectRoot, 'data/usage'));
+        this.prices = { ...DEFAULT_PRICES };
+        this.budget = { ...DEFAULT_BUDGET };
+    }
+
+    async initialize() {
+        await this.loadConfig();
+        await this.repository.read(this.collectionFor());
+    }
+
+    async loadConfig() {
+        try {
+            const data = await fs.readFile(join(projectRoot, 'config/agent.json'), 'utf-8');
+            const llm = JSON.parse(data).llm || {};
+            this.prices = { ...DEFAULT_PRICES, ...(llm.prices || {}) };
+            this.budget = { ...DEFAULT_BUDGET, ...(llm.budget || {}) };
+        } catch (err) {
+            this.prices = { ...DEFAULT_PRICES };
+            this.budget = { ...DEFAULT_BUDGET };
+        }
+    }
+
+    collectionFor(date = new Date()) {
+        return `usage-${date.toISOString().substring(0, 7)}`;
+    }
+
+    priceFor(provider, model) {
+        // Local models and OpenRouter's free tier cost nothing
+        if (provider === 'ollama' || model?.endsWith(':free')) return { input: 0, output: 0 };
+        return this.prices[model] || this.prices[`${provider}/${model}`] || this.prices.default || null;
+    }
+
+    cost(price, promptTokens, completionTokens) {
+        if (!price) return 0;
+        return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+    }
+
+    async record({ provider, model, promptTokens, completionTokens, estimated = false, sessionId = null, channel = null, customer = null }) {
+        const price = this.priceFor(provider, model);
+        const entry = {
+            id: `USE-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            provider,
+            model,
+            promptTokens,
+            completionTokens,
+            estimated,
+            cost: Number(this.cost(price, promptTokens, completionTokens).toFixed(6)),
+            priced: !!price,
+            sessionId,
+            channel,
+            customer,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await this.repository.insert(this.collectionFor(), entry);
+        } catch (err) {
+            console.error('❌ Usage: could not save record:', err.message);
+        }
+        return entry;
+    }
+
+    // ==================== Reporting ====================
+
+    // Cached records since a date (this month's file, plus last month's if needed)
+    recordsSince(since) {
+        const months = [...new Set([this.collectionFor(since), this.collectionFor()])];
+        return months
+            .flatMap(collection => this.repository.cached(collection))
+            .filter(r => new Date(r.createdAt) >= since);
+    }
+
+    totals(records) {
+        return {
+            calls: records.length,
+            promptTokens: records.reduce((sum, r) => sum + r.promptTokens, 0),
+            completionTokens: records.reduce((sum, r) => sum + r.completionTokens, 0),
+            cost: Number(records.reduce((sum, r) => sum + r.cost, 0).toFixed(6))
+        };
+    }
+
+    startOfDay() {
+        const day = new Date();
+        day.setUTCHours(0, 0, 0, 0);
+        return day;
+    }
+
+    startOfMonth() {
+        const month = this.startOfDay();
+        month.setUTCDate(1);
+        return month;
+    }
+
+    // Spend against the configured limits
+    budgetStatus() {
+        const today = this.totals(this.recordsSince(this.startOfDay())).cost;
+        const month = this.totals(this.recordsSince(this.startOfMonth())).cost;
+        const { daily, monthly } = this.budget;
+        const exceeded = (daily !== null && today >= daily) || (monthly !== null && month >= monthly);
+
+        return {
+            today,
+            month,
+            daily,
+            monthly,
+            exceeded,
+            action: this.budget.on_exceeded,
+            cheaperModel: this.budget.cheaper_model,
+            message: this.budget.message
+        };
+    }
+
+    groupBy(records, key) {
+        const groups = {};
+        for (const record of records) {
+            const name = record[key] || 'unknown';
+            groups[name] = groups[name] || [];
+            groups[name].push(record);
+        }
+        return Object.entries(groups)
+            .map(([name, group]) => ({ [key]: name, ...this.totals(group) }))
+            .sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+    }
+
+    async getSummary({ days = 30 } = {}) {
+        const since = this.startOfDay();
+        since.setUTCDate(since.getUTCDate() - (days - 1));
+
+        // Make sure both months are loaded (the process may have started last month)
+        await Promise.all([...new Set([this.collectionFor(since), this.collectionFor()])]
+            .map(collection => this.repository.read(collection)));
+
+        const records = this.recordsSince(since);
+        const daily = [];
+        for (let i = 0; i < days; i++) {
+            const day = new Date(since);
+            day.setUTCDate(since.getUTCDate() + i);
+            const date = day.toISOString().split('T')[0];
+            daily.push({ date, ...this.totals(records.filter(r => r.createdAt.startsWith(date))) });
+        }
+
+        return {
+            today: this.totals(this.recordsSince(this.startOfDay())),
+            month: this.totals(this.recordsSince(this.startOfMonth())),
+            budget: this.budgetStatus(),
+            daily,
+            byChannel: this.groupBy(records, 'channel'),
+            byModel: this.groupBy(records, 'model'),
+            topSessions: this.groupBy(records, 'sessionId').slice(0, 10),
+            topCustomers: this.groupBy(records, 'customer').slice(0, 10),
+            unpriced: [...new Set(records.filter(r => !r.priced).map(r => r.model))]
+        };
+    }
+
+    // This month's calls for one conversation
+    async getSession(sessionId) {
+        const records = (await this.repository.read(this.collectionFor())).filter(r => r.sessionId === sessionId);
+        return { sessionId, ...this.totals(records), records };
+    }
+}
+
+export default UsageTracker;
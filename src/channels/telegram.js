@@ -0,0 +1,231 @@
+import { Bot, InlineKeyboard, InputFile } from 'grammy';
+import { normalizeResponse, isRemoteImage, resolveImagePath } from '../agent/responses.js';
+
+// Telegram rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Telegram shows a chat action for about 5 seconds; repeat it while we work
+const TYPING_REFRESH_MS = 4500;
+
+// Replies that ask the customer to confirm get Yes / No buttons
+const CONFIRMATION_PATTERN = /\b(confirm|shall i|should i|would you like me to|is that (correct|right|ok)|go ahead)\b[^?]*\?\s*$/i;
+
+class TelegramChannel {
+    constructor(gateway) {
+        this.gateway = gateway;
+        this.bot = null;
+        this.running = false;
+        this.typingTimers = new Map();
+    }
+
+    async start() {
+        if (process.env.CHANNELS_TELEGRAM !== 'true') {
+            console.log('✈️ Telegram: Disabled in configuration');
+            return;
+        }
+
+        const token = process.env.TELEGRAM_BOT_TOKEN;
+        if (!token) {
+            console.error('❌ Telegram: TELEGRAM_BOT_TOKEN is not set');
+            return;
+        }
+
+        console.log('✈️ Telegram: Starting...');
+
+        try {
+            this.bot = new Bot(token);
+
+            this.bot.on('message:text', (ctx) => this.handleIncomingMessage(ctx));
+            this.bot.on('callback_query:data', (ctx) => this.handleButtonPress(ctx));
+
+            this.bot.catch((err) => {
+                console.error('❌ Telegram error:', err.error?.message || err.message);
+            });
+
+            await this.bot.init();
+
+            // Long polling runs until stop(); don't block startup on it
+            this.bot.start({
+                drop_pending_updates: true,
+                onStart: () => {
+                    this.running = true;
+                    console.log(`✈️ Telegram: Connected as @${this.bot.botInfo.username}`);
+                }
+            }).catch(err => {
+                this.running = false;
+                console.error('❌ Telegram polling stopped:', err.message);
+            });
+
+        } catch (err) {
+            console.error('❌ Telegram initialization failed:', err.message);
+            this.bot = null;
+        }
+    }
+
+    sessionIdFor(chatId) {
+        return `tg_${chatId}`;
+    }
+
+    metadataFor(ctx) {
+        const from = ctx.from || {};
+        return {
+            senderName: [from.first_name, from.last_name].filter(Boolean).join(' ') || from.username || String(ctx.chat.id),
+            username: from.username || null,
+            chatId: ctx.chat.id,
+            platform: 'telegram'
+        };
+    }
+
+    async handleIncomingMessage(ctx) {
+        const messageText = ctx.message.text;
+
+        // /start is Telegram's "open chat" - greet like any first message
+        if (messageText === '/start') {
+            return this.gateway.routeMessage('telegram', this.sessionIdFor(ctx.chat.id), 'Hi', this.metadataFor(ctx));
+        }
+
+        console.log(`✈️ Telegram: Message from ${ctx.chat.id}: ${messageText.substring(0, 50)}...`);
+
+        await this.gateway.routeMessage('telegram', this.sessionIdFor(ctx.chat.id), messageText, this.metadataFor(ctx));
+    }
+
+    // A tapped button is treated as if the customer typed its label
+    async handleButtonPress(ctx) {
+        const answer = ctx.callbackQuery.data;
+
+        await ctx.answerCallbackQuery();
+        try {
+            // Drop the buttons so they can't be pressed twice
+            await ctx.editMessageReplyMarkup({ reply_markup: undefined });
+        } catch (err) {
+            // Message too old to edit - harmless
+        }
+
+        await this.gateway.routeMessage('telegram', this.sessionIdFor(ctx.chat.id), answer, this.metadataFor(ctx));
+    }
+
+    // Buttons and list rows become inline keyboard buttons (one row each)
+    buildKeyboard(reply) {
+        let labels = [
+            ...(reply.buttons || []).map(b => b.label),
+            ...(reply.list?.sections || []).flatMap(s => s.rows.map(r => r.title))
+        ];
+        if (!labels.length && CONFIRMATION_PATTERN.test(reply.text.trim())) {
+            labels = ['Yes', 'No'];
+        }
+        if (!labels.length) return null;
+
+        const keyboard = new InlineKeyboard();
+        for (const label of labels) {
+            // callback_data is limited to 64 bytes
+            keyboard.text(label, label.substring(0, 64)).row();
+        }
+        return keyboard;
+    }
+
+    splitMessage(message) {
+        const parts = [];
+        let rest = message;
+        while (rest.length > MAX_MESSAGE_LENGTH) {
+            const cut = rest.lastIndexOf('\n', MAX_MESSAGE_LENGTH);
+            const at = cut > 0 ? cut : MAX_MESSAGE_LENGTH;
+            parts.push(rest.substring(0, at));
+            rest = rest.substring(at).replace(/^\n/, '');
+        }
+        parts.push(rest);
+        return parts;
+    }
+
+    stopTyping(sessionId) {
+        clearInterval(this.typingTimers.get(sessionId));
+        this.typingTimers.delete(sessionId);
+    }
+
+    // There is no "stopped typing" action - the indicator ends with our message or times out
+    async setTyping(sessionId, isTyping) {
+        this.stopTyping(sessionId);
+        if (!isTyping || !this.bot || !this.running) return;
+
+        const chatId = sessionId.replace('tg_', '');
+        await this.bot.api.sendChatAction(chatId, 'typing');
+
+        const timer = setInterval(() => {
+            this.bot?.api.sendChatAction(chatId, 'typing').catch(() => { });
+        }, TYPING_REFRESH_MS);
+        timer.unref?.();
+        this.typingTimers.set(sessionId, timer);
+    }
+
+    // message: text or a rich response (see agent/responses.js); true once it's sent
+    async send(sessionId, message) {
+        if (!this.bot) {
+            console.error('❌ Telegram: Not connected');
+            return false;
+        }
+
+        this.stopTyping(sessionId);
+
+        const chatId = sessionId.replace('tg_', '');
+        const reply = normalizeResponse(message);
+        const keyboard = this.buildKeyboard(reply);
+        // Telegram won't send an empty message, but buttons need one to sit under
+        const text = reply.text || (keyboard ? 'Choose an option:' : '');
+        const parts = text ? this.splitMessage(text) : [];
+
+        try {
+            for (const image of reply.images || []) {
+                const photo = isRemoteImage(image) ? image.url : new InputFile(resolveImagePath(image));
+                await this.bot.api.sendPhoto(chatId, photo, { caption: image.caption || '' });
+            }
+
+            for (let i = 0; i < parts.length; i++) {
+                // Buttons go on the last part so they sit under the question
+                const options = keyboard && i === parts.length - 1 ? { reply_markup: keyboard } : {};
+                await this.bot.api.sendMessage(chatId, parts[i], options);
+            }
+
+            if (reply.location) {
+                await this.bot.api.sendVenue(chatId, reply.location.latitude, reply.location.longitude,
+                    reply.location.name || 'Location', reply.location.address || '');
+            }
+
+            console.log(`✈️ Telegram: Sent to ${chatId}: ${reply.text.substring(0, 30)}...`);
+            return true;
+        } catch (err) {
+            console.error('❌ Telegram send error:', err.message);
+            return false;
+        }
+    }
+
+    // Owner alerts also go to Telegram when TELEGRAM_OWNER_CHAT_ID is set
+    async sendToOwner(message) {
+        const ownerChatId = process.env.TELEGRAM_OWNER_CHAT_ID;
+        if (!ownerChatId || !this.bot || !this.isConnected()) return false;
+
+        try {
+            for (const part of this.splitMessage(message)) {
+                await this.bot.api.sendMessage(ownerChatId, part);
+            }
+            return true;
+        } catch (err) {
+            console.error('❌ Telegram owner notification error:', err.message);
+            return false;
+        }
+    }
+
+    isConnected() {
+        return this.running;
+    }
+
+    async stop() {
+        for (const sessionId of this.typingTimers.keys()) {
+            this.stopTyping(sessionId);
+        }
+        if (this.bot && this.running) {
+            await this.bot.stop();
+            this.running = false;
+        }
+    }
+}
+
+export default TelegramChannel;
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { basename } from 'path';
+import { sanitizeInput, checkRateLimit } from '../security/encryption.js';
+import { normalizeResponse, getChoices, isRemoteImage } from '../agent/responses.js';
+
+const NAMESPACE = '/chat';
+const MAX_MESSAGE_LENGTH = 2000;
+const HISTORY_LIMIT = 30;
+
+/**
+ * Web Chat Channel
+ * - Customer chat for the embeddable widget (/widget.js on the dashboard server)
+ * - Own Socket.IO namespace (/chat), separate from the admin dashboard sockets
+ * - Anonymous session ids that survive page reloads (signed, kept in the browser)
+ * - Typing indicators both ways
+ */
+class WebChatChannel {
+    constructor(gateway) {
+        this.gateway = gateway;
+        this.nsp = null;
+        // Sessions only stay valid across restarts when JWT_SECRET is set
+        this.secret = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+        this.allowedOrigins = (process.env.WEB_CHAT_ORIGINS || '')
+            .split(',')
+            .map(o => o.trim())
+            .filter(Boolean);
+    }
+
+    // Hooks into the dashboard's Socket.IO server (it also serves widget.js)
+    start(dashboard) {
+        if (process.env.CHANNELS_WEB !== 'true') {
+            console.log('🌐 Web chat: Disabled in configuration');
+            return;
+        }
+
+        this.nsp = dashboard.io.of(NAMESPACE);
+
+        this.nsp.use((socket, next) => {
+            const origin = socket.handshake.headers.origin;
+            if (this.allowedOrigins.length && origin && !this.allowedOrigins.includes(origin)) {
+                return next(new Error('Origin not allowed'));
+            }
+            next();
+        });
+
+        this.nsp.on('connection', (socket) => this.handleConnection(socket));
+
+        console.log(`🌐 Web chat: Widget at http://localhost:${dashboard.port}/widget.js`);
+    }
+
+    sign(sessionId) {
+        return crypto.createHmac('sha256', this.secret).update(sessionId).digest('hex');
+    }
+
+    // Reuse the visitor's session if the token checks out, otherwise start a new one
+    resolveSession({ sessionId, token } = {}) {
+        if (typeof sessionId === 'string' && typeof token === 'string' && sessionId.startsWith('web_')) {
+            const expected = this.sign(sessionId);
+            if (token.length === expected.length && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))) {
+                return { sessionId, token, resumed: true };
+            }
+        }
+
+        const fresh = `web_${uuidv4()}`;
+        return { sessionId: fresh, token: this.sign(fresh), resumed: false };
+    }
+
+    handleConnection(socket) {
+        const { sessionId, token, resumed } = this.resolveSession(socket.handshake.auth);
+        socket.join(sessionId);
+
+        socket.emit('session', { sessionId, token });
+
+        if (resumed) {
+            const messages = this.gateway.getSession(sessionId)?.messages || [];
+            socket.emit('history', messages.slice(-HISTORY_LIMIT).map(m => ({
+                role: m.role,
+                text: m.content,
+                timestamp: m.timestamp
+            })));
+        }
+
+        socket.on('message', async (payload = {}) => {
+            const text = sanitizeInput(String(payload.text || '')).trim().substring(0, MAX_MESSAGE_LENGTH);
+            if (!text) return;
+
+            if (!checkRateLimit(`web:${sessionId}`, 20, 60000)) {
+                socket.emit('message', { role: 'assistant', text: "You're sending messages a bit fast - please wait a moment.", timestamp: Date.now() });
+                return;
+            }
+
+            // Other tabs of the same visitor show the message too
+            socket.to(sessionId).emit('message', { role: 'user', text, timestamp: Date.now() });
+
+            try {
+                await this.gateway.routeMessage('web', sessionId, text, {
+                    senderName: payload.name ? sanitizeInput(String(payload.name)).substring(0, 60) : 'Website visitor',
+                    page: typeof payload.page === 'string' ? payload.page.substring(0, 300) : null,
+                    platform: 'web'
+                });
+            } catch (err) {
+                console.error('❌ Web chat routing error:', err.message);
+                this.setTyping(sessionId, false);
+            }
+        });
+
+        // Visitor typing - shown on the dashboard
+        socket.on('typing', (isTyping) => {
+            this.gateway.broadcast({ type: 'typing', channel: 'web', sessionId, typing: !!isTyping, timestamp: Date.now() });
+        });
+    }
+
+    // Called by the gateway while the agent works on a reply
+    setTyping(sessionId, isTyping) {
+        this.nsp?.to(sessionId).emit('typing', { typing: isTyping });
+    }
+
+    // message: text or a rich response (see agent/responses.js); the widget draws
+    // options as chips, photos inline and locations as a map link.
+    // True only if the visitor has the page open - nobody else would see it.
+    async send(sessionId, message) {
+        if (!this.nsp) {
+            console.error('❌ Web chat: Not running');
+            return false;
+        }
+
+        const reply = normalizeResponse(message);
+
+        this.setTyping(sessionId, false);
+        this.nsp.to(sessionId).emit('message', {
+            role: 'assistant',
+            text: reply.text,
+            options: getChoices(reply),
+            images: (reply.images || []).map(image => ({
+                // Local dish photos are served by the dashboard under /menu-images
+                url: isRemoteImage(image) ? image.url : `/menu-images/${encodeURIComponent(basename(image.url))}`,
+                caption: image.caption || ''
+            })),
+            location: reply.location || null,
+            timestamp: Date.now()
+        });
+        console.log(`🌐 Web chat: Sent to ${sessionId.substring(0, 12)}...: ${reply.text.substring(0, 30)}...`);
+        return (this.nsp.adapter.rooms.get(sessionId)?.size || 0) > 0;
+    }
+}
+
+export default WebChatChannel;
@@ -1,18 +1,33 @@
-import makeWASocket, { useMultiFileAuthState, DisconnectReason } from 'baileys';
+import makeWASocket, { useMultiFileAuthState, DisconnectReason, downloadMediaMessage } from 'baileys';
 import { Boom } from '@hapi/boom';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import pino from 'pino';
+import { normalizeResponse, toPlainText, isRemoteImage, resolveImagePath } from '../agent/responses.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '../..');
 
+// Message types we download, and what we call them
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    audioMessage: 'audio',
+    videoMessage: 'video',
+    documentMessage: 'document'
+};
+
+// WhatsApp drops "typing..." after a while; repeat it until the reply goes out
+const TYPING_REFRESH_MS = 10000;
+
 class WhatsAppChannel {
-    constructor(gateway) {
+    constructor(gateway, { mediaStore = null, speechToText = null } = {}) {
         this.gateway = gateway;
+        this.mediaStore = mediaStore;
+        this.speechToText = speechToText;
         this.socket = null;
         this.sessions = new Map();
+        this.typingTimers = new Map();
     }
 
     async start() {
@@ -77,55 +92,247 @@ class WhatsAppChannel {
 
     async handleIncomingMessage(msg) {
         const jid = msg.key.remoteJid;
-        const sender = jid.split('@')[0];
-        const messageText = msg.message?.conversation ||
-            msg.message?.extendedTextMessage?.text ||
+        const isGroup = jid.endsWith('@g.us');
+        // In groups the sender is the participant, not the chat
+        const sender = (isGroup ? msg.key.participant || '' : jid).split('@')[0];
+        const content = msg.message || {};
+
+        // Generate session ID from phone number (or group id - staff groups only take commands)
+        const sessionId = isGroup ? `wa_group_${jid.split('@')[0]}` : `wa_${sender}`;
+
+        const metadata = {
+            senderName: sender,
+            senderPhone: sender,
+            platform: 'whatsapp',
+            ...(isGroup ? { isGroup: true, groupId: jid } : {})
+        };
+
+        // Tapped buttons / list rows arrive as their label
+        let messageText = content.conversation ||
+            content.extendedTextMessage?.text ||
+            content.buttonsResponseMessage?.selectedDisplayText ||
+            content.templateButtonReplyMessage?.selectedDisplayText ||
+            content.listResponseMessage?.title ||
             '';
 
+        // Only staff commands are read in groups
+        if (isGroup && !messageText.trim().startsWith('/')) return;
+
+        const pin = content.locationMessage || content.liveLocationMessage;
+        const mediaType = Object.keys(MEDIA_TYPES).find(type => content[type]);
+
+        if (pin) {
+            metadata.location = this.describeLocation(pin);
+            messageText = `📍 [Shared a location: ${metadata.location.label}]`;
+        } else if (mediaType && this.isTooLarge(content[mediaType])) {
+            messageText = this.describeOversized(MEDIA_TYPES[mediaType], content[mediaType]);
+        } else if (mediaType) {
+            const media = await this.saveMedia(msg, sessionId, MEDIA_TYPES[mediaType], content[mediaType]);
+            if (media) metadata.media = [media];
+            messageText = this.describeMedia(MEDIA_TYPES[mediaType], content[mediaType], media);
+        }
+
         if (!messageText) return;
 
         console.log(`📱 WhatsApp: Message from ${sender}: ${messageText.substring(0, 50)}...`);
 
-        // Generate session ID from phone number
-        const sessionId = `wa_${sender}`;
-
         // Route to gateway
-        await this.gateway.routeMessage('whatsapp', sessionId, messageText, {
-            senderName: sender,
-            senderPhone: sender,
-            platform: 'whatsapp'
-        });
+        await this.gateway.routeMessage('whatsapp', sessionId, messageText, metadata);
+    }
+
+    describeLocation(pin) {
+        const latitude = pin.degreesLatitude;
+        const longitude = pin.degreesLongitude;
+        const place = [pin.name, pin.address].filter(Boolean).join(', ');
+
+        return {
+            latitude,
+            longitude,
+            name: pin.name || null,
+            address: pin.address || null,
+            label: place || `${latitude}, ${longitude}`,
+            mapsUrl: `https://www.google.com/maps?q=${latitude},${longitude}`,
+            sharedAt: new Date().toISOString()
+        };
+    }
+
+    // Downloads are held in memory, so big videos and documents are never fetched
+    isTooLarge(message) {
+        const maxBytes = (parseFloat(process.env.WHATSAPP_MEDIA_MAX_MB) || 16) * 1024 * 1024;
+        return Number(message.fileLength || 0) > maxBytes;
+    }
+
+    describeOversized(kind, message) {
+        const what = { image: 'a photo', audio: 'a voice note', video: 'a video' }[kind] || `a document (${message.fileName || 'file'})`;
+        const sizeMb = (Number(message.fileLength) / (1024 * 1024)).toFixed(1);
+        return `📎 [Sent ${what} of ${sizeMb} MB - too large to receive. Apologise politely and ask for a smaller file, or for them to describe it]`;
+    }
+
+    // Download to data/media; voice notes are transcribed when speech-to-text is set up
+    async saveMedia(msg, sessionId, kind, message) {
+        if (!this.mediaStore) return null;
+
+        try {
+            const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+                logger: pino({ level: 'silent' }),
+                reuploadRequest: this.socket.updateMediaMessage
+            });
+
+            let media = await this.mediaStore.save(buffer, {
+                sessionId,
+                channel: 'whatsapp',
+                kind,
+                mimetype: message.mimetype || '',
+                caption: message.caption || message.fileName || ''
+            });
+
+            if (kind === 'audio' && this.speechToText?.isEnabled()) {
+                const transcript = await this.speechToText.transcribe(this.mediaStore.pathFor(media), media.mimetype);
+                if (transcript) {
+                    media = await this.mediaStore.update(media.id, (m) => {
+                        m.transcript = transcript;
+                    });
+                }
+            }
+
+            return media;
+        } catch (err) {
+            console.error('❌ WhatsApp media download error:', err.message);
+            return null;
+        }
+    }
+
+    // What the agent reads in place of the file
+    describeMedia(kind, message, media) {
+        const caption = message.caption ? `: "${message.caption}"` : '';
+        const ref = media ? ` (${media.id})` : '';
+
+        switch (kind) {
+            case 'image':
+                return `📷 [Sent a photo${ref}${caption}]`;
+            case 'audio':
+                return media?.transcript
+                    ? `🎤 [Voice note] ${media.transcript}`
+                    : `🎤 [Sent a voice note${ref} that could not be transcribed - ask them to type it]`;
+            case 'video':
+                return `🎥 [Sent a video${ref}${caption}]`;
+            default:
+                return `📄 [Sent a document${ref}: ${message.fileName || 'file'}]`;
+        }
+    }
+
+    // Extract phone (or group id) from session ID
+    jidFor(sessionId) {
+        return sessionId.startsWith('wa_group_')
+            ? `${sessionId.replace('wa_group_', '')}@g.us`
+            : `${sessionId.replace('wa_', '')}@s.whatsapp.net`;
+    }
+
+    stopTyping(sessionId) {
+        clearInterval(this.typingTimers.get(sessionId));
+        this.typingTimers.delete(sessionId);
+    }
+
+    async setTyping(sessionId, isTyping) {
+        this.stopTyping(sessionId);
+        if (!this.socket || !this.isConnected()) return;
+
+        const jid = this.jidFor(sessionId);
+        await this.socket.sendPresenceUpdate(isTyping ? 'composing' : 'paused', jid);
+
+        if (isTyping) {
+            const timer = setInterval(() => {
+                this.socket?.sendPresenceUpdate('composing', jid).catch(() => { });
+            }, TYPING_REFRESH_MS);
+            timer.unref?.();
+            this.typingTimers.set(sessionId, timer);
+        }
     }
 
+    // message: text or a rich response (see agent/responses.js); true once it's sent
     async send(sessionId, message) {
         if (!this.socket) {
             console.error('❌ WhatsApp: Not connected');
-            return;
+            return false;
         }
 
-        // Extract phone from session ID
-        const phone = sessionId.replace('wa_', '');
-        const jid = `${phone}@s.whatsapp.net`;
+        // The message itself ends "typing..." on the customer's phone
+        this.stopTyping(sessionId);
+
+        const jid = this.jidFor(sessionId);
+        const reply = normalizeResponse(message);
 
         try {
-            await this.socket.sendMessage(jid, { text: message });
-            console.log(`📱 WhatsApp: Sent to ${phone}: ${message.substring(0, 30)}...`);
+            for (const image of reply.images || []) {
+                await this.socket.sendMessage(jid, {
+                    image: { url: isRemoteImage(image) ? image.url : resolveImagePath(image) },
+                    caption: image.caption || ''
+                });
+            }
+
+            await this.socket.sendMessage(jid, this.buildContent(reply));
+
+            if (reply.location) {
+                await this.socket.sendMessage(jid, {
+                    location: {
+                        degreesLatitude: reply.location.latitude,
+                        degreesLongitude: reply.location.longitude,
+                        name: reply.location.name || '',
+                        address: reply.location.address || ''
+                    }
+                });
+            }
+
+            console.log(`📱 WhatsApp: Sent to ${jid}: ${reply.text.substring(0, 30)}...`);
+            return true;
         } catch (err) {
             console.error('❌ WhatsApp send error:', err.message);
+            return false;
         }
     }
 
+    // Native buttons/lists only reach some WhatsApp clients, so they're opt-in;
+    // otherwise options go out as a numbered list the customer answers with a number
+    buildContent(reply) {
+        const interactive = process.env.WHATSAPP_INTERACTIVE === 'true';
+        const withoutPin = { ...reply, location: null, images: null };
+
+        if (interactive && reply.buttons) {
+            return {
+                text: reply.text,
+                buttons: reply.buttons.slice(0, 3).map(b => ({ buttonId: b.id, buttonText: { displayText: b.label }, type: 1 })),
+                headerType: 1
+            };
+        }
+
+        if (interactive && reply.list) {
+            return {
+                text: reply.text,
+                buttonText: reply.list.button || 'Choose',
+                sections: reply.list.sections.map(section => ({
+                    title: section.title,
+                    rows: section.rows.map(r => ({ rowId: r.id, title: r.title, description: r.description || '' }))
+                }))
+            };
+        }
+
+        return { text: toPlainText(withoutPin) };
+    }
+
+    // Returns true once WhatsApp accepted the message (the notifier retries otherwise)
     async sendToOwner(message) {
         const ownerPhone = process.env.OWNER_PHONE;
-        if (!ownerPhone || !this.socket) return;
+        if (!ownerPhone || !this.socket || !this.isConnected()) return false;
 
         const phone = ownerPhone.replace(/[^0-9]/g, '');
         const jid = `${phone}@s.whatsapp.net`;
 
         try {
             await this.socket.sendMessage(jid, { text: message });
+            return true;
         } catch (err) {
             console.error('❌ WhatsApp owner notification error:', err.message);
+            return false;
         }
     }
 
@@ -0,0 +1,201 @@
+/**
+ * Restaurant Concierge - website chat widget
+ *
+ * <script src="https://your-server:3000/widget.js" async
+ *         data-title="Chat with us" data-color="#c9a84c"></script>
+ */
+(function () {
+    if (window.__concierge_widget) return;
+    window.__concierge_widget = true;
+
+    const script = document.currentScript || document.querySelector('script[src*="widget.js"]');
+    const server = new URL(script.src).origin;
+    const options = {
+        title: script.dataset.title || 'Chat with us',
+        color: script.dataset.color || '#c9a84c',
+        greeting: script.dataset.greeting || 'Hi! 👋 How can we help you today?'
+    };
+    const STORAGE_KEY = 'concierge_chat_session';
+
+    // ==================== UI ====================
+
+    const host = document.createElement('div');
+    host.style.cssText = 'position:fixed;bottom:20px;right:20px;z-index:2147483000';
+    document.body.appendChild(host);
+    const root = host.attachShadow({ mode: 'open' });
+
+    root.innerHTML = `
+        <style>
+            * { box-sizing: border-box; font-family: system-ui, sans-serif }
+            .launcher { width: 56px; height: 56px; border-radius: 50%; border: none; background: ${options.color}; color: #fff; font-size: 24px; cursor: pointer; box-shadow: 0 4px 16px rgba(0,0,0,0.25) }
+            .window { display: none; flex-direction: column; width: 340px; height: 480px; max-height: calc(100vh - 100px); background: #fff; border-radius: 14px; overflow: hidden; box-shadow: 0 8px 32px rgba(0,0,0,0.25); margin-bottom: 12px }
+            .window.open { display: flex }
+            .header { background: ${options.color}; color: #fff; padding: 14px 16px; font-weight: 600; display: flex; justify-content: space-between }
+            .header button { background: none; border: none; color: #fff; font-size: 18px; cursor: pointer }
+            .messages { flex: 1; overflow-y: auto; padding: 12px; background: #f7f7f9 }
+            .msg { max-width: 80%; padding: 8px 12px; border-radius: 12px; margin: 4px 0; font-size: 14px; line-height: 1.4; white-space: pre-wrap; word-wrap: break-word }
+            .msg.assistant { background: #fff; border: 1px solid #e5e5ea; color: #222 }
+            .msg.user { background: ${options.color}; color: #fff; margin-left: auto }
+            .options { display: flex; flex-wrap: wrap; gap: 6px; margin: 4px 0 8px }
+            .options button { border: 1px solid ${options.color}; background: #fff; color: ${options.color}; border-radius: 14px; padding: 5px 12px; font-size: 13px; cursor: pointer }
+            .options button:disabled { opacity: 0.4; cursor: default }
+            .msg img { display: block; max-width: 100%; border-radius: 8px; margin-bottom: 4px }
+            .msg a { color: inherit }
+            .typing { display: none; padding: 0 12px 8px; font-size: 12px; color: #888; background: #f7f7f9 }
+            .typing.show { display: block }
+            form { display: flex; border-top: 1px solid #e5e5ea }
+            input { flex: 1; border: none; padding: 12px; font-size: 14px; outline: none }
+            form button { border: none; background: none; color: ${options.color}; font-weight: 600; padding: 0 16px; cursor: pointer }
+        </style>
+        <div class="window">
+            <div class="header"><span class="title"></span><button class="close" aria-label="Close">×</button></div>
+            <div class="messages"></div>
+            <div class="typing">Typing…</div>
+            <form><input placeholder="Type a message…" maxlength="2000" autocomplete="off"><button type="submit">Send</button></form>
+        </div>
+        <div style="text-align:right"><button class="launcher" aria-label="Open chat">💬</button></div>
+    `;
+
+    root.querySelector('.title').textContent = options.title;
+    const win = root.querySelector('.window');
+    const list = root.querySelector('.messages');
+    const typing = root.querySelector('.typing');
+    const form = root.querySelector('form');
+    const input = root.querySelector('input');
+    let typingTimeout = null;
+
+    let sendText = null;
+
+    function addMessage(role, text) {
+        const el = document.createElement('div');
+        el.className = `msg ${role}`;
+        el.textContent = text;
+        list.appendChild(el);
+        list.scrollTop = list.scrollHeight;
+        return el;
+    }
+
+    // Photos, map link and option chips from a rich reply
+    function addRich(m) {
+        for (const image of m.images || []) {
+            const el = addMessage('assistant', image.caption);
+            const img = document.createElement('img');
+            img.src = image.url.startsWith('/') ? `${server}${image.url}` : image.url;
+            img.alt = image.caption;
+            el.prepend(img);
+        }
+
+        if (m.location) {
+            const el = addMessage('assistant', '📍 ');
+            const link = document.createElement('a');
+            link.href = m.location.mapsUrl || `https://www.google.com/maps?q=${m.location.latitude},${m.location.longitude}`;
+            link.target = '_blank';
+            link.textContent = [m.location.name, m.location.address].filter(Boolean).join(', ') || 'Open in Maps';
+            el.appendChild(link);
+        }
+
+        if (m.options?.length) {
+            const row = document.createElement('div');
+            row.className = 'options';
+            for (const option of m.options) {
+                const button = document.createElement('button');
+                button.textContent = option;
+                button.addEventListener('click', () => {
+                    row.querySelectorAll('button').forEach(b => b.disabled = true);
+                    sendText(option);
+                });
+                row.appendChild(button);
+            }
+            list.appendChild(row);
+            list.scrollTop = list.scrollHeight;
+        }
+    }
+
+    function showTyping(show) {
+        typing.classList.toggle('show', show);
+        clearTimeout(typingTimeout);
+        // Never leave the indicator stuck if a reply goes missing
+        if (show) typingTimeout = setTimeout(() => typing.classList.remove('show'), 60000);
+    }
+
+    root.querySelector('.launcher').addEventListener('click', () => {
+        win.classList.toggle('open');
+        if (win.classList.contains('open')) input.focus();
+    });
+    root.querySelector('.close').addEventListener('click', () => win.classList.remove('open'));
+
+    // ==================== Connection ====================
+
+    function loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (err) {
+            return {};
+        }
+    }
+
+    function connect() {
+        // auth as a function so reconnects pick up the session issued on first connect
+        const socket = window.io(`${server}/chat`, { auth: (cb) => cb(loadSession()), transports: ['websocket'] });
+        let greeted = false;
+
+        socket.on('session', (session) => {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+        });
+
+        socket.on('history', (messages) => {
+            list.innerHTML = '';
+            messages.forEach(m => addMessage(m.role, m.text));
+            greeted = messages.length > 0;
+        });
+
+        socket.on('connect', () => {
+            // History arrives right after connecting for returning visitors
+            setTimeout(() => {
+                if (!greeted && !list.children.length) addMessage('assistant', options.greeting);
+            }, 300);
+        });
+
+        socket.on('message', (m) => {
+            if (m.role === 'assistant') showTyping(false);
+            if (m.text) addMessage(m.role, m.text);
+            addRich(m);
+        });
+
+        socket.on('typing', ({ typing: isTyping }) => showTyping(isTyping));
+
+        let typingSent = false;
+        input.addEventListener('input', () => {
+            const isTyping = input.value.length > 0;
+            if (isTyping !== typingSent) {
+                typingSent = isTyping;
+                socket.emit('typing', isTyping);
+            }
+        });
+
+        sendText = (text) => {
+            addMessage('user', text);
+            socket.emit('message', { text, page: location.href });
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = input.value.trim();
+            if (!text) return;
+
+            sendText(text);
+            socket.emit('typing', false);
+            typingSent = false;
+            input.value = '';
+        });
+    }
+
+    if (window.io) {
+        connect();
+    } else {
+        const client = document.createElement('script');
+        client.src = `${server}/socket.io/socket.io.js`;
+        client.onload = connect;
+        document.head.appendChild(client);
+    }
+})();
@@ -5,6 +5,8 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs/promises';
 import { encrypt, decrypt, sanitizeInput, logSecurityEvent } from '../security/encryption.js';
+import MenuCatalogue from '../menu/catalogue.js';
+import { MENU_IMAGES_DIR } from '../agent/responses.js';
 
 import crypto from 'crypto';
 
@@ -13,11 +15,20 @@ const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '../..');
 
 class Dashboard {
-    constructor(gateway, ordersManager, memoryStore, skillsManager) {
+    constructor(gateway, ordersManager, memoryStore, skillsManager, { dailySummary = null, complaints = null, mediaStore = null, handoff = null, llm = null, usageTracker = null, knowledge = null, webScraper = null } = {}) {
         this.gateway = gateway;
         this.ordersManager = ordersManager;
         this.memoryStore = memoryStore;
         this.skillsManager = skillsManager;
+        this.dailySummary = dailySummary;
+        this.complaints = complaints;
+        this.mediaStore = mediaStore;
+        this.handoff = handoff;
+        this.llm = llm;
+        this.usageTracker = usageTracker;
+        this.knowledge = knowledge;
+        this.webScraper = webScraper;
+        this.menu = new MenuCatalogue();
         this.app = express();
         this.server = createServer(this.app);
         this.io = new Server(this.server);
@@ -31,6 +42,7 @@ class Dashboard {
         // Middleware
         this.app.use(express.json());
         this.app.use(express.static(join(projectRoot, 'src/dashboard/public')));
+        this.app.use('/menu-images', express.static(MENU_IMAGES_DIR));
 
         // API Routes
         this.setupRoutes();
@@ -145,6 +157,45 @@ class Dashboard {
             }
         });
 
+        // Get menu catalogue
+        this.app.get('/api/menu', async (req, res) => {
+            try {
+                const business = await this.readBusinessConfig();
+                res.json(await this.menu.load(business));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Replace menu catalogue
+        this.app.put('/api/menu', async (req, res) => {
+            try {
+                const { categories, modifierGroups, currency } = req.body;
+                if (!Array.isArray(categories)) {
+                    return res.status(400).json({ error: 'categories array required' });
+                }
+                const menu = await this.menu.save({ categories, modifierGroups: modifierGroups || [], currency: currency || 'R' });
+                res.json({ success: true, menu });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Mark a menu item sold out / back on
+        this.app.post('/api/menu/items/:id/availability', async (req, res) => {
+            try {
+                await this.menu.load(await this.readBusinessConfig());
+                const item = await this.menu.setAvailability(req.params.id, req.body.available !== false);
+                if (!item) {
+                    return res.status(404).json({ error: 'Menu item not found' });
+                }
+                this.logToTerminal(`🍽️ ${item.name} is ${item.available ? 'back on' : 'sold out'}`);
+                res.json({ success: true, item });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
         // Get memory
         this.app.get('/api/memory', (req, res) => {
             const customers = this.memoryStore?.getAllCustomers() || [];
@@ -223,7 +274,433 @@ class Dashboard {
         // Orders
         this.app.get('/api/orders', (req, res) => {
             const orders = this.ordersManager?.getRecentOrders(20) || [];
-            res.json(orders);
+            res.json(orders.map(o => ({ ...o, nextStatuses: this.ordersManager.getNextStatuses(o) })));
+        });
+
+        // Get single order
+        this.app.get('/api/orders/:id', async (req, res) => {
+            try {
+                const order = await this.ordersManager?.getOrder(req.params.id);
+                if (!order) {
+                    return res.status(404).json({ error: 'Order not found' });
+                }
+                res.json({ ...order, nextStatuses: this.ordersManager.getNextStatuses(order) });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Advance order status (customer is notified automatically)
+        this.app.post('/api/orders/:id/status', async (req, res) => {
+            try {
+                const { status, note, notifyCustomer } = req.body;
+                if (!status) {
+                    return res.status(400).json({ error: 'Status required' });
+                }
+
+                const result = await this.ordersManager.updateOrderStatus(req.params.id, status, {
+                    note: note ? sanitizeInput(note) : '',
+                    notifyCustomer: notifyCustomer !== false
+                });
+
+                if (!result.success) {
+                    return res.status(result.error === 'not_found' ? 404 : 400).json({ error: result.error });
+                }
+
+                this.logToTerminal(`📦 Order #${result.order.id} → ${status}`);
+                res.json({ success: true, order: { ...result.order, nextStatuses: this.ordersManager.getNextStatuses(result.order) } });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Complaints (?status=open,in_progress)
+        this.app.get('/api/complaints', async (req, res) => {
+            try {
+                res.json(await this.complaints?.list({ status: req.query.status || null }) || []);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Staff members complaints can be assigned to
+        this.app.get('/api/complaints/staff', (req, res) => {
+            res.json(this.complaints?.getStaff() || []);
+        });
+
+        this.app.get('/api/complaints/:id', async (req, res) => {
+            try {
+                const complaint = await this.complaints?.get(req.params.id);
+                if (!complaint) {
+                    return res.status(404).json({ error: 'Complaint not found' });
+                }
+                res.json(complaint);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.post('/api/complaints/:id/assign', async (req, res) => {
+            try {
+                const assignee = sanitizeInput(req.body.assignee || '');
+                this.sendResult(res, await this.complaints.assign(req.params.id, assignee), `👤 Complaint #${req.params.id} assigned to ${assignee}`);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Internal note (never shown to the customer)
+        this.app.post('/api/complaints/:id/notes', async (req, res) => {
+            try {
+                const { text, author } = req.body;
+                const result = await this.complaints.addNote(req.params.id, sanitizeInput(text || ''), {
+                    author: author ? sanitizeInput(author) : 'dashboard'
+                });
+                this.sendResult(res, result);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Resolve with refund, voucher or apology; the follow-up is scheduled automatically
+        this.app.post('/api/complaints/:id/resolve', async (req, res) => {
+            try {
+                const { type, amount, note, by, followUp } = req.body;
+                const result = await this.complaints.resolve(req.params.id, {
+                    type,
+                    amount: amount ?? null,
+                    note: note ? sanitizeInput(note) : '',
+                    by: by ? sanitizeInput(by) : 'dashboard',
+                    followUp: followUp !== false
+                });
+                this.sendResult(res, result, `✅ Complaint #${req.params.id} resolved (${type})`);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Send the follow-up now instead of waiting
+        this.app.post('/api/complaints/:id/follow-up', async (req, res) => {
+            try {
+                this.sendResult(res, await this.complaints.sendFollowUp(req.params.id), `💬 Complaint #${req.params.id} followed up`);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.post('/api/complaints/:id/reopen', async (req, res) => {
+            try {
+                const note = req.body.note ? sanitizeInput(req.body.note) : '';
+                this.sendResult(res, await this.complaints.reopen(req.params.id, { note }), `↩️ Complaint #${req.params.id} reopened`);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.post('/api/complaints/:id/close', async (req, res) => {
+            try {
+                const note = req.body.note ? sanitizeInput(req.body.note) : '';
+                this.sendResult(res, await this.complaints.close(req.params.id, { note }));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Customer media (complaint photos, voice notes)
+        this.app.get('/api/media/:id', async (req, res) => {
+            try {
+                const media = await this.mediaStore?.get(req.params.id);
+                if (!media) {
+                    return res.status(404).json({ error: 'Media not found' });
+                }
+                res.type(media.mimetype || 'application/octet-stream');
+                res.sendFile(this.mediaStore.pathFor(media), (err) => {
+                    if (err && !res.headersSent) res.status(404).json({ error: 'Media file missing' });
+                });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Feedback
+        this.app.get('/api/feedback', async (req, res) => {
+            try {
+                res.json(await this.ordersManager?.getFeedback(parseInt(req.query.limit) || 50) || []);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Daily average rating and volume
+        this.app.get('/api/feedback/trends', async (req, res) => {
+            try {
+                const days = Math.min(parseInt(req.query.days) || 30, 365);
+                res.json(await this.ordersManager.getFeedbackTrends(days));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Average rating by week
+        this.app.get('/api/feedback/weekly', async (req, res) => {
+            try {
+                const weeks = Math.min(parseInt(req.query.weeks) || 12, 104);
+                res.json(await this.ordersManager.getWeeklyRatings(weeks));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Low scores nobody has looked at yet
+        this.app.get('/api/feedback/alerts', async (req, res) => {
+            try {
+                res.json(await this.ordersManager.getLowScoreAlerts({ includeAcknowledged: req.query.all === 'true' }));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.post('/api/feedback/:id/acknowledge', async (req, res) => {
+            try {
+                const feedback = await this.ordersManager.acknowledgeFeedback(req.params.id);
+                if (!feedback) {
+                    return res.status(404).json({ error: 'Feedback not found' });
+                }
+                res.json({ success: true, feedback });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Daily summary - live preview for a date (defaults to today)
+        this.app.get('/api/summary', async (req, res) => {
+            try {
+                if (!this.dailySummary) {
+                    return res.status(503).json({ error: 'Daily summary not available' });
+                }
+                const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : undefined;
+                const summary = await this.dailySummary.compile(date);
+                res.json({ ...summary, text: this.dailySummary.format(summary), sendTime: this.dailySummary.sendTime });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Previously sent summaries
+        this.app.get('/api/summaries', async (req, res) => {
+            try {
+                res.json(await this.dailySummary?.getHistory(parseInt(req.query.limit) || 14) || []);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Send today's summary to the owner now
+        this.app.post('/api/summary/send', async (req, res) => {
+            try {
+                if (!this.dailySummary) {
+                    return res.status(503).json({ error: 'Daily summary not available' });
+                }
+                const summary = await this.dailySummary.send(undefined, { force: true });
+                this.logToTerminal('📊 Daily summary sent to owner');
+                res.json({ success: true, summary });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // AI provider chain health (circuit state, last error, latency)
+        this.app.get('/api/llm/health', (req, res) => {
+            res.json(this.llm?.getHealth() || []);
+        });
+
+        // LLM spend: today, this month, budget and who it went to
+        this.app.get('/api/usage', async (req, res) => {
+            try {
+                if (!this.usageTracker) {
+                    return res.status(503).json({ error: 'Usage tracking not available' });
+                }
+                const days = Math.min(parseInt(req.query.days) || 30, 90);
+                res.json(await this.usageTracker.getSummary({ days }));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.get('/api/usage/sessions/:sessionId', async (req, res) => {
+            try {
+                if (!this.usageTracker) {
+                    return res.status(503).json({ error: 'Usage tracking not available' });
+                }
+                res.json(await this.usageTracker.getSession(req.params.sessionId));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Knowledge base: documents, their ingestion status and versions
+        this.app.use('/api/knowledge', (req, res, next) => {
+            if (!this.knowledge) {
+                return res.status(503).json({ error: 'Knowledge base not available' });
+            }
+            next();
+        });
+
+        this.app.get('/api/knowledge', (req, res) => {
+            res.json(this.knowledge.getAllDocuments());
+        });
+
+        // New text document: { filename, content }
+        this.app.post('/api/knowledge', async (req, res) => {
+            try {
+                const { filename, content } = req.body;
+                const result = await this.knowledge.createDocument(filename, content);
+                this.sendResult(res, result, result.success ? `📚 Knowledge: ${result.document.filename} created` : null);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Raw file body, name in ?filename= (PDF, Word, HTML, CSV, markdown, text)
+        this.app.post('/api/knowledge/upload', express.raw({ type: () => true, limit: '20mb' }), async (req, res) => {
+            try {
+                const result = await this.knowledge.ingestFile(req.query.filename, Buffer.isBuffer(req.body) ? req.body : null);
+                this.sendResult(res, result, result.success ? `📚 Knowledge: ${result.document.filename} added (${result.document.chunks} chunks)` : null);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Which chunks a question retrieves, and why
+        this.app.post('/api/knowledge/query', async (req, res) => {
+            try {
+                const query = (req.body.query || '').trim();
+                if (!query) {
+                    return res.status(400).json({ error: 'query required' });
+                }
+                res.json(await this.knowledge.testQuery(query, { limit: Math.min(parseInt(req.body.limit) || 10, 50) }));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Re-read every file in data/business
+        this.app.post('/api/knowledge/reload', async (req, res) => {
+            try {
+                this.sendResult(res, await this.knowledge.reload(), '📚 Knowledge reloaded');
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.get('/api/knowledge/:filename', (req, res) => {
+            const doc = this.knowledge.getDocument(req.params.filename);
+            if (!doc) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            res.json(doc);
+        });
+
+        // Replace a text document's content: { content }
+        this.app.put('/api/knowledge/:filename', async (req, res) => {
+            try {
+                const result = await this.knowledge.updateDocument(req.params.filename, req.body.content);
+                this.sendResult(res, result, result.success ? `📚 Knowledge: ${req.params.filename} updated (v${result.document.version})` : null);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.delete('/api/knowledge/:filename', async (req, res) => {
+            try {
+                this.sendResult(res, await this.knowledge.deleteDocument(req.params.filename), `🗑️ Knowledge: ${req.params.filename} deleted`);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.get('/api/knowledge/:filename/versions', async (req, res) => {
+            try {
+                res.json(await this.knowledge.getVersions(req.params.filename));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.post('/api/knowledge/:filename/versions/:version/restore', async (req, res) => {
+            try {
+                const result = await this.knowledge.restoreVersion(req.params.filename, parseInt(req.params.version));
+                this.sendResult(res, result, `⏪ Knowledge: ${req.params.filename} restored to v${req.params.version}`);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Connected websites and their last sync
+        this.app.use('/api/sources', (req, res, next) => {
+            if (!this.webScraper) {
+                return res.status(503).json({ error: 'Website sync not available' });
+            }
+            next();
+        });
+
+        this.app.get('/api/sources', (req, res) => {
+            res.json(this.webScraper.getConnectedSources());
+        });
+
+        // { url, name?, maxDepth?, maxPages? } - the first sync starts right away
+        this.app.post('/api/sources', async (req, res) => {
+            try {
+                const { url, maxDepth, maxPages } = req.body;
+                let site;
+                try {
+                    site = new URL(url);
+                } catch (err) {
+                    return res.status(400).json({ error: 'A full website URL is required (https://...)' });
+                }
+                if (!/^https?:$/.test(site.protocol)) {
+                    return res.status(400).json({ error: 'Only http and https websites can be synced' });
+                }
+                if (!(await this.webScraper.isPublicHost(site.hostname))) {
+                    return res.status(400).json({ error: 'Local and private network addresses can\'t be synced' });
+                }
+
+                // Per-site limits can only be lower than the ones in config/agent.json
+                const limits = { maxDepth: this.webScraper.config.max_depth, maxPages: this.webScraper.config.max_pages };
+                for (const [key, value] of Object.entries({ maxDepth, maxPages })) {
+                    if (value === undefined) continue;
+                    if (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > limits[key]) {
+                        return res.status(400).json({ error: `${key} must be a whole number from 1 to ${limits[key]}` });
+                    }
+                }
+
+                const name = sanitizeInput(req.body.name || site.host);
+                const source = await this.webScraper.connectSource(name, 'website', {
+                    url: site.href,
+                    ...(maxDepth !== undefined ? { maxDepth: Number(maxDepth) } : {}),
+                    ...(maxPages !== undefined ? { maxPages: Number(maxPages) } : {})
+                });
+                this.logToTerminal(`🌐 Website connected: ${site.href}`);
+                res.json({ success: true, source: { ...source, pages: undefined } });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.post('/api/sources/:name/sync', async (req, res) => {
+            try {
+                this.sendResult(res, await this.webScraper.syncSource(req.params.name), `🌐 Website synced: ${req.params.name}`);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.delete('/api/sources/:name', async (req, res) => {
+            try {
+                this.sendResult(res, await this.webScraper.disconnectSource(req.params.name), `🌐 Website disconnected: ${req.params.name}`);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
         });
 
         // Activity
@@ -248,24 +725,114 @@ class Dashboard {
             res.json(activities);
         });
 
-        // Send message to session
-        this.app.post('/api/sessions/:sessionId/message', async (req, res) => {
-            const { sessionId } = req.params;
-            const { message } = req.body;
+        // Conversations (with who is answering them)
+        this.app.get('/api/sessions', (req, res) => {
+            const sessions = this.gateway?.getAllSessions() || [];
+            res.json(sessions
+                .sort((a, b) => b.lastActive - a.lastActive)
+                .map(s => ({
+                    id: s.id,
+                    channel: s.metadata?.channel,
+                    customerName: s.customerName || s.metadata?.senderName || 'Unknown',
+                    lastActive: s.lastActive,
+                    lastMessage: s.messages[s.messages.length - 1]?.content || '',
+                    messageCount: s.messages.length,
+                    handoff: s.handoff || { state: 'bot' }
+                })));
+        });
 
-            if (!message) {
-                return res.status(400).json({ error: 'Message required' });
+        this.app.get('/api/sessions/:sessionId', (req, res) => {
+            const session = this.gateway?.getSession(req.params.sessionId);
+            if (!session) {
+                return res.status(404).json({ error: 'not_found' });
             }
+            res.json({
+                id: session.id,
+                channel: session.metadata?.channel,
+                customerName: session.customerName || session.metadata?.senderName || 'Unknown',
+                handoff: session.handoff || { state: 'bot' },
+                messages: session.messages.slice(-100)
+            });
+        });
 
-            // Sanitize input
-            const sanitized = sanitizeInput(message);
-            this.gateway.emit('admin:message', sessionId, sanitized);
+        this.app.get('/api/handoffs', (req, res) => {
+            res.json(this.handoff?.list() || []);
+        });
 
-            res.json({ success: true });
+        // Staff take a chat over - the bot stops replying to it
+        this.app.post('/api/sessions/:sessionId/claim', (req, res) => {
+            if (!this.handoff) {
+                return res.status(503).json({ error: 'Handoff not available' });
+            }
+            const agent = sanitizeInput(req.body.agent || 'Dashboard');
+            this.sendResult(res, this.handoff.claim(req.params.sessionId, agent), `🙋 ${agent} took over ${req.params.sessionId}`);
+        });
+
+        this.app.post('/api/sessions/:sessionId/release', (req, res) => {
+            if (!this.handoff) {
+                return res.status(503).json({ error: 'Handoff not available' });
+            }
+            this.sendResult(res, this.handoff.release(req.params.sessionId), `🤖 ${req.params.sessionId} handed back to the bot`);
+        });
+
+        // Send message to session - goes to the customer as written and takes the chat over
+        this.app.post('/api/sessions/:sessionId/message', async (req, res) => {
+            try {
+                const { sessionId } = req.params;
+                const { message } = req.body;
+
+                if (!message) {
+                    return res.status(400).json({ error: 'Message required' });
+                }
+                if (!this.handoff) {
+                    return res.status(503).json({ error: 'Handoff not available' });
+                }
+
+                // Sanitize input
+                const sanitized = sanitizeInput(message);
+                const agent = sanitizeInput(req.body.agent || 'Dashboard');
+                this.sendResult(res, await this.handoff.sendStaffMessage(sessionId, sanitized, { agent }));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
         });
     }
 
+    sendResult(res, result, logMessage = null) {
+        if (!result.success) {
+            return res.status(result.error === 'not_found' ? 404 : 400).json({ error: result.error, message: result.message });
+        }
+        if (logMessage) this.logToTerminal(logMessage);
+        res.json(result);
+    }
+
+    async readBusinessConfig() {
+        try {
+            const data = await fs.readFile(join(projectRoot, 'config/business.json'), 'utf-8');
+            return JSON.parse(data);
+        } catch (err) {
+            return null;
+        }
+    }
+
     setupSocketIO() {
+        // The default namespace is the dashboard's (staff replies, live events) - only pages
+        // it serves itself may connect. Website visitors use the /chat namespace instead.
+        this.io.use((socket, next) => {
+            const { origin, host } = socket.handshake.headers;
+            let originHost = null;
+            try {
+                originHost = origin ? new URL(origin).host : null;
+            } catch (err) {
+                return next(new Error('Origin not allowed'));
+            }
+            if (originHost && originHost !== host) {
+                logSecurityEvent({ type: 'dashboard_socket_rejected', origin });
+                return next(new Error('Origin not allowed'));
+            }
+            next();
+        });
+
         this.io.on('connection', (socket) => {
             console.log('🌐 Dashboard: Client connected');
 
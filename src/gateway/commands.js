@@ -0,0 +1,293 @@
+import MenuCatalogue from '../menu/catalogue.js';
+
+// Statuses an order is still being worked on in
+const ACTIVE_ORDER_STATUSES = ['pending', 'accepted', 'preparing', 'ready', 'out_for_delivery'];
+
+// Session id prefix -> channel, for /reply to sessions the gateway hasn't seen since a restart
+const SESSION_PREFIXES = { wa_: 'whatsapp', tg_: 'telegram', web_: 'web' };
+
+const DEFAULT_PAUSE_MINUTES = 30;
+
+const HELP_TEXT = [
+    '🛠️ *Staff commands*',
+    '/orders [today|active] - list orders',
+    '/order <id> <status> - e.g. /order ORD-123 accepted',
+    '/bookings [today|tomorrow] - list bookings',
+    '/close kitchen [reason] - stop taking orders',
+    '/open kitchen - take orders again',
+    '/86 <item> - mark a dish sold out',
+    '/back <item> - dish available again',
+    '/reply <session> <text> - message a customer (takes the chat over)',
+    '/chats - chats waiting for or handled by staff',
+    '/release <session> - hand a chat back to the bot',
+    '/pause bot [30m|2h] - bot stops replying to customers',
+    '/resume - bot replies again',
+    '/status - kitchen, bot and today\'s numbers'
+].join('\n');
+
+/**
+ * Staff Commands
+ * Lets the owner (OWNER_PHONE), staff (STAFF_PHONES) and the owner's Telegram chat
+ * (TELEGRAM_OWNER_CHAT_ID) run the restaurant from their phone with "/" commands.
+ * Runs in the gateway before anything reaches the agent; staff messages that
+ * aren't commands are handled like any other customer message.
+ */
+class StaffCommands {
+    constructor(gateway, { ordersManager }) {
+        this.gateway = gateway;
+        this.ordersManager = ordersManager;
+        this.menu = new MenuCatalogue();
+    }
+
+    staffPhones() {
+        return [process.env.OWNER_PHONE, ...(process.env.STAFF_PHONES || '').split(',')]
+            .map(p => (p || '').trim())
+            .filter(Boolean);
+    }
+
+    isStaff(channelName, metadata = {}) {
+        if (channelName === 'telegram') {
+            const ownerChatId = process.env.TELEGRAM_OWNER_CHAT_ID;
+            return !!ownerChatId && String(metadata.chatId) === String(ownerChatId);
+        }
+        if (channelName === 'whatsapp') {
+            return this.staffPhones().some(p => this.ordersManager.phoneMatches(p, metadata.senderPhone));
+        }
+        return false;
+    }
+
+    // Returns true when the message was dealt with here and must not reach the agent
+    async handle(channelName, sessionId, message, metadata = {}) {
+        const text = String(message || '').trim();
+        const staff = this.isStaff(channelName, metadata);
+
+        // Groups are for staff only - the bot never chats with customers there
+        if (metadata.isGroup && !(staff && text.startsWith('/'))) return true;
+        if (!staff || !text.startsWith('/')) return false;
+
+        const [, name = '', rest = ''] = text.match(/^\/(\S+)\s*([\s\S]*)$/) || [];
+        const by = metadata.senderName || metadata.senderPhone || channelName;
+
+        let reply;
+        try {
+            reply = await this.run(name.toLowerCase(), rest.trim(), { by });
+        } catch (err) {
+            console.error(`❌ Staff command /${name} failed:`, err.message);
+            reply = `❌ /${name} failed: ${err.message}`;
+        }
+
+        console.log(`🛠️ Staff command from ${by}: /${name}`);
+        this.gateway.broadcast({
+            type: 'staff:command',
+            channel: channelName,
+            sessionId,
+            by,
+            command: text,
+            timestamp: Date.now()
+        });
+
+        const channel = this.gateway.channels.get(channelName);
+        if (channel && typeof channel.send === 'function') {
+            await channel.send(sessionId, reply);
+        }
+        return true;
+    }
+
+    async run(name, args, { by }) {
+        switch (name) {
+            case 'orders':
+                return this.listOrders(args);
+            case 'order':
+                return this.setOrderStatus(args);
+            case 'bookings':
+                return this.listBookings(args);
+            case 'close':
+                return this.setKitchen(false, args, by);
+            case 'open':
+                return this.setKitchen(true, args, by);
+            case '86':
+                return this.setAvailability(args, false);
+            case 'back':
+                return this.setAvailability(args, true);
+            case 'reply':
+                return this.replyToCustomer(args, by);
+            case 'chats':
+                return this.listHandoffs();
+            case 'release':
+                return this.releaseChat(args);
+            case 'pause':
+                return this.pauseBot(args);
+            case 'resume':
+                this.gateway.resume();
+                return '▶️ Bot is replying to customers again.';
+            case 'status':
+                return this.status();
+            default:
+                return HELP_TEXT;
+        }
+    }
+
+    // ==================== Orders & Bookings ====================
+
+    formatOrder(order) {
+        const items = (order.items || []).map(i => `${i.quantity}x ${i.name}`).join(', ');
+        const time = new Date(order.createdAt).toTimeString().substring(0, 5);
+        return `#${order.id} ${time} ${order.customerName || 'Unknown'} - ${order.currency || 'R'}${order.total || 0} [${order.status}]\n   ${items}${order.delivery ? ' 🚚' : ''}`;
+    }
+
+    async listOrders(args) {
+        await this.ordersManager.loadOrders();
+        const today = new Date().toISOString().split('T')[0];
+        const scope = args.toLowerCase() || 'active';
+
+        if (!['today', 'active'].includes(scope)) return 'Usage: /orders [today|active]';
+
+        const orders = this.ordersManager.orders.filter(o => scope === 'today'
+            ? o.createdAt?.startsWith(today)
+            : ACTIVE_ORDER_STATUSES.includes(o.status));
+
+        if (!orders.length) return scope === 'today' ? '📦 No orders today yet.' : '📦 No active orders.';
+
+        const total = orders.reduce((sum, o) => sum + (o.total || 0), 0);
+        return `📦 *${scope === 'today' ? 'Orders today' : 'Active orders'}* (${orders.length}, ${orders[0].currency || 'R'}${total})\n\n` +
+            orders.slice(-20).map(o => this.formatOrder(o)).join('\n');
+    }
+
+    async setOrderStatus(args) {
+        const [orderId, status, ...note] = args.split(/\s+/);
+        if (!orderId || !status) return 'Usage: /order <id> <status>';
+
+        const result = await this.ordersManager.updateOrderStatus(orderId, status.toLowerCase(), { note: note.join(' ') });
+        if (!result.success) {
+            return result.error === 'not_found' ? `❌ Order ${orderId} not found.` : `❌ ${result.error.replace(/_/g, ' ')}`;
+        }
+        return `✅ Order #${orderId} is now ${result.order.status}. The customer has been told.`;
+    }
+
+    async listBookings(args) {
+        await this.ordersManager.loadOrders();
+        const scope = args.toLowerCase() || 'today';
+        const date = new Date();
+        if (scope === 'tomorrow') date.setDate(date.getDate() + 1);
+        else if (scope !== 'today') return 'Usage: /bookings [today|tomorrow]';
+
+        const day = date.toISOString().split('T')[0];
+        const bookings = this.ordersManager.bookings
+            .filter(b => b.date === day && b.status !== 'cancelled')
+            .sort((a, b) => (a.time || '').localeCompare(b.time || ''));
+
+        if (!bookings.length) return `📅 No bookings ${scope}.`;
+
+        const guests = bookings.reduce((sum, b) => sum + (Number(b.guests) || 0), 0);
+        return `📅 *Bookings ${scope}* (${bookings.length}, ${guests} guests)\n\n` +
+            bookings.map(b => `${b.time} ${b.name || 'Guest'} x${b.guests}${b.section ? ` (${b.section})` : ''} #${b.id}`).join('\n');
+    }
+
+    // ==================== Kitchen & Menu ====================
+
+    async setKitchen(open, args, by) {
+        const [target, ...reason] = args.split(/\s+/);
+        if (target?.toLowerCase() !== 'kitchen') return open ? 'Usage: /open kitchen' : 'Usage: /close kitchen [reason]';
+
+        await this.ordersManager.setKitchenStatus(open, { reason: open ? '' : reason.join(' '), by });
+        this.gateway.broadcast({ type: 'kitchen:status', open, timestamp: Date.now() });
+
+        return open
+            ? '🟢 Kitchen open - taking orders again.'
+            : '🔴 Kitchen closed - the bot will turn away new orders until /open kitchen.';
+    }
+
+    async setAvailability(name, available) {
+        if (!name) return available ? 'Usage: /back <item>' : 'Usage: /86 <item>';
+
+        await this.menu.load(await this.ordersManager.loadBusinessConfig());
+        const { item, suggestions } = this.menu.findItem(name);
+        if (!item) {
+            return `❓ No single dish matches "${name}".${suggestions.length ? ` Did you mean: ${suggestions.join(', ')}?` : ''}`;
+        }
+
+        await this.menu.setAvailability(item.id, available);
+        this.gateway.broadcast({ type: 'menu:availability', itemId: item.id, available, timestamp: Date.now() });
+
+        return available ? `✅ ${item.name} is back on the menu.` : `🚫 ${item.name} is 86'd (sold out).`;
+    }
+
+    // ==================== Conversations ====================
+
+    channelFor(sessionId) {
+        const session = this.gateway.getSession(sessionId);
+        if (session?.metadata?.channel) return session.metadata.channel;
+
+        const prefix = Object.keys(SESSION_PREFIXES).find(p => sessionId.startsWith(p));
+        return prefix ? SESSION_PREFIXES[prefix] : null;
+    }
+
+    async replyToCustomer(args, by) {
+        const [, sessionId, text] = args.match(/^(\S+)\s+([\s\S]+)$/) || [];
+        if (!sessionId || !text) return 'Usage: /reply <session> <text>';
+
+        const result = await this.gateway.handoff.sendStaffMessage(sessionId, text.trim(), {
+            agent: by,
+            channelName: this.channelFor(sessionId)
+        });
+        if (!result.success) return `❌ Unknown session ${sessionId}.`;
+
+        return result.handoff
+            ? `✉️ Sent to ${sessionId}. You have the chat - the bot is quiet until /release ${sessionId}.`
+            : `✉️ Sent to ${sessionId}.`;
+    }
+
+    listHandoffs() {
+        const chats = this.gateway.handoff.list();
+        if (!chats.length) return '💬 No chats waiting for staff.';
+
+        return '💬 *Chats for staff*\n\n' + chats.map(c => c.state === 'waiting'
+            ? `🙋 ${c.sessionId} ${c.customerName} - waiting${c.reason ? `: ${c.reason}` : ''}`
+            : `👤 ${c.sessionId} ${c.customerName} - with ${c.agent}`).join('\n');
+    }
+
+    releaseChat(sessionId) {
+        if (!sessionId) return 'Usage: /release <session>';
+
+        const result = this.gateway.handoff.release(sessionId);
+        return result.success ? `🤖 ${sessionId} is back with the bot.` : `❌ Unknown session ${sessionId}.`;
+    }
+
+    // "30m", "2h", "1h30m" or a bare number of minutes
+    parseDuration(text) {
+        if (!text) return DEFAULT_PAUSE_MINUTES * 60000;
+        if (/^\d+$/.test(text)) return Number(text) * 60000;
+
+        const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?$/i);
+        if (!match || (!match[1] && !match[2])) return null;
+        return ((Number(match[1]) || 0) * 60 + (Number(match[2]) || 0)) * 60000;
+    }
+
+    pauseBot(args) {
+        const [target, duration] = args.split(/\s+/);
+        if (target?.toLowerCase() !== 'bot') return 'Usage: /pause bot [30m|2h]';
+
+        const ms = this.parseDuration(duration);
+        if (!ms) return 'Usage: /pause bot [30m|2h]';
+
+        const until = this.gateway.pause(ms);
+        return `⏸️ Bot paused until ${until.toTimeString().substring(0, 5)}. Customer messages still show on the dashboard - answer with /reply. /resume to switch it back on.`;
+    }
+
+    async status() {
+        await this.ordersManager.loadOrders();
+        const kitchen = await this.ordersManager.getKitchenStatus();
+        const stats = this.ordersManager.getStats();
+        const pausedUntil = this.gateway.isPaused() ? this.gateway.pausedUntil : null;
+
+        return [
+            `🍳 Kitchen: ${kitchen.open ? 'open' : `closed${kitchen.reason ? ` (${kitchen.reason})` : ''}`}`,
+            `🤖 Bot: ${pausedUntil ? `paused until ${new Date(pausedUntil).toTimeString().substring(0, 5)}` : 'replying'}`,
+            `📦 Orders today: ${stats.todayOrders} (R${stats.todayRevenue})`,
+            `⚠️ Open complaints: ${stats.openComplaints}`,
+            `💬 Active chats: ${this.gateway.getAllSessions().filter(s => Date.now() - s.lastActive < 3600000).length}`
+        ].join('\n');
+    }
+}
+
+export default StaffCommands;
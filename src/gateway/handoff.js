@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+const DEFAULT_HANDOFF = {
+    // Staff silence after which the bot takes the chat back
+    timeout_minutes: 15,
+    // escalate puts the chat in the "waiting for human" queue
+    on_escalate: true
+};
+
+/**
+ * Human Handoff
+ * Per-session control of who answers the customer:
+ * - bot:     the agent replies (default)
+ * - waiting: the agent still replies, but the chat is queued for staff (e.g. after escalate)
+ * - human:   a staff member claimed the chat; the agent stays quiet and staff
+ *            messages go to the customer verbatim
+ * Control returns to the bot on release or after timeout_minutes without a staff message.
+ */
+class HandoffManager {
+    constructor(gateway, { pollIntervalMs = 60000 } = {}) {
+        this.gateway = gateway;
+        this.config = { ...DEFAULT_HANDOFF };
+        this.pollIntervalMs = pollIntervalMs;
+        this.timer = null;
+    }
+
+    async initialize() {
+        await this.loadConfig();
+        this.timer = setInterval(() => this.expireStale(), this.pollIntervalMs);
+        this.timer.unref?.();
+    }
+
+    async loadConfig() {
+        try {
+            const data = await fs.readFile(join(projectRoot, 'config/agent.json'), 'utf-8');
+            this.config = { ...DEFAULT_HANDOFF, ...(JSON.parse(data).handoff || {}) };
+        } catch (err) {
+            this.config = { ...DEFAULT_HANDOFF };
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    state(sessionId) {
+        return this.gateway.getSession(sessionId)?.handoff?.state || 'bot';
+    }
+
+    // Chats waiting for or handled by staff, waiting ones first
+    list() {
+        return this.gateway.getAllSessions()
+            .filter(s => s.handoff)
+            .map(s => ({
+                sessionId: s.id,
+                channel: s.metadata?.channel,
+                customerName: s.customerName || s.metadata?.senderName || 'Unknown',
+                lastActive: s.lastActive,
+                ...s.handoff
+            }))
+            .sort((a, b) => (a.state === 'waiting' ? 0 : 1) - (b.state === 'waiting' ? 0 : 1) || b.lastActive - a.lastActive);
+    }
+
+    emitChange(sessionId, handoff) {
+        this.gateway.broadcast({
+            type: 'handoff:changed',
+            sessionId,
+            state: handoff?.state || 'bot',
+            agent: handoff?.agent || null,
+            reason: handoff?.reason || null,
+            timestamp: Date.now()
+        });
+    }
+
+    // Queue the chat for staff without silencing the bot
+    requestHuman(sessionId, reason = '') {
+        const session = this.gateway.getSession(sessionId);
+        if (!session) return { success: false, error: 'not_found' };
+        if (session.handoff?.state === 'human') return { success: true, handoff: session.handoff };
+
+        session.handoff = { state: 'waiting', reason, requestedAt: new Date().toISOString() };
+        this.emitChange(sessionId, session.handoff);
+        console.log(`🙋 Handoff: ${sessionId} waiting for a human${reason ? ` (${reason})` : ''}`);
+        return { success: true, handoff: session.handoff };
+    }
+
+    claim(sessionId, agent = 'Staff') {
+        const session = this.gateway.getSession(sessionId);
+        if (!session) return { success: false, error: 'not_found' };
+
+        session.handoff = {
+            state: 'human',
+            agent,
+            reason: session.handoff?.reason || null,
+            claimedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + this.config.timeout_minutes * 60000).toISOString(),
+            // Where the bot's view of the conversation stops
+            fromMessage: session.messages.length
+        };
+        this.emitChange(sessionId, session.handoff);
+        console.log(`🙋 Handoff: ${agent} took over ${sessionId}`);
+        return { success: true, handoff: session.handoff };
+    }
+
+    release(sessionId, { reason = 'released' } = {}) {
+        const session = this.gateway.getSession(sessionId);
+        if (!session) return { success: false, error: 'not_found' };
+        if (!session.handoff) return { success: true, handoff: null };
+
+        const { fromMessage } = session.handoff;
+        session.handoff = null;
+        this.emitChange(sessionId, null);
+
+        // Let the agent catch up on what was said while staff had the chat
+        if (fromMessage !== undefined) {
+            this.gateway.emit('handoff:released', { sessionId, reason, messages: session.messages.slice(fromMessage) });
+        }
+        console.log(`🤖 Handoff: ${sessionId} back with the bot (${reason})`);
+        return { success: true, handoff: null };
+    }
+
+    isHumanHandling(sessionId) {
+        const handoff = this.gateway.getSession(sessionId)?.handoff;
+        if (handoff?.state !== 'human') return false;
+
+        if (Date.now() >= new Date(handoff.expiresAt).getTime()) {
+            this.release(sessionId, { reason: 'timeout' });
+            return false;
+        }
+        return true;
+    }
+
+    // Sends text to the customer as-is; claims the chat first if needed
+    async sendStaffMessage(sessionId, text, { agent = 'Staff', channelName = null } = {}) {
+        const session = this.gateway.getSession(sessionId);
+        const channel = session?.metadata?.channel || channelName;
+        if (!channel || !this.gateway.channels.has(channel)) return { success: false, error: 'not_found' };
+
+        if (session) {
+            if (!this.isHumanHandling(sessionId) || session.handoff.agent !== agent) {
+                this.claim(sessionId, agent);
+            } else {
+                session.handoff.expiresAt = new Date(Date.now() + this.config.timeout_minutes * 60000).toISOString();
+            }
+        }
+
+        await this.gateway.sendResponse(channel, sessionId, text, { staff: agent });
+        return { success: true, handoff: session?.handoff || null };
+    }
+
+    expireStale() {
+        for (const session of this.gateway.getAllSessions()) {
+            this.isHumanHandling(session.id);
+        }
+    }
+}
+
+export default HandoffManager;
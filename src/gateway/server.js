@@ -1,6 +1,7 @@
 import { WebSocketServer, WebSocket } from 'ws';
 import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
+import { normalizeResponse, getChoices } from '../agent/responses.js';
 
 class Gateway extends EventEmitter {
     constructor(port = 18789) {
@@ -10,6 +11,10 @@ class Gateway extends EventEmitter {
         this.channels = new Map();
         this.wss = null;
         this.clients = new Set();
+        this.commands = null;
+        this.handoff = null;
+        // Bot switched off for everyone until this time (staff "/pause bot")
+        this.pausedUntil = null;
     }
 
     start() {
@@ -68,7 +73,39 @@ class Gateway extends EventEmitter {
         }
     }
 
+    // Staff "/" commands are handled before messages reach the agent (see gateway/commands.js)
+    setCommandHandler(handler) {
+        this.commands = handler;
+    }
+
+    // Per-session staff takeover (see gateway/handoff.js)
+    setHandoff(handoff) {
+        this.handoff = handoff;
+    }
+
+    pause(ms) {
+        this.pausedUntil = Date.now() + ms;
+        this.broadcast({ type: 'bot:paused', until: this.pausedUntil, timestamp: Date.now() });
+        return new Date(this.pausedUntil);
+    }
+
+    resume() {
+        this.pausedUntil = null;
+        this.broadcast({ type: 'bot:resumed', timestamp: Date.now() });
+    }
+
+    isPaused() {
+        if (this.pausedUntil && Date.now() >= this.pausedUntil) {
+            this.resume();
+        }
+        return !!this.pausedUntil;
+    }
+
     async routeMessage(channelName, sessionId, message, metadata = {}) {
+        if (this.commands && await this.commands.handle(channelName, sessionId, message, metadata)) {
+            return;
+        }
+
         // Create or get session
         if (!this.sessions.has(sessionId)) {
             this.sessions.set(sessionId, {
@@ -83,12 +120,29 @@ class Gateway extends EventEmitter {
 
         const session = this.sessions.get(sessionId);
         session.lastActive = Date.now();
+
+        // "2" after a numbered list of options means the second option
+        const picked = message.trim().match(/^(\d{1,2})\.?$/);
+        if (picked && session.choices?.[picked[1] - 1]) {
+            message = session.choices[picked[1] - 1];
+        }
+        session.choices = null;
+
         session.messages.push({
             role: 'user',
             content: message,
+            ...(metadata.media ? { media: metadata.media.map(m => m.id) } : {}),
             timestamp: Date.now()
         });
 
+        // Files and the latest location pin stay with the session for tools to use
+        if (metadata.media) {
+            session.media = [...(session.media || []), ...metadata.media];
+        }
+        if (metadata.location) {
+            session.location = metadata.location;
+        }
+
         // Broadcast to dashboard
         this.broadcast({
             type: 'message:incoming',
@@ -96,24 +150,37 @@ class Gateway extends EventEmitter {
             sessionId,
             senderName: metadata.senderName,
             message,
+            media: metadata.media?.map(m => ({ id: m.id, kind: m.kind })),
+            handoff: session.handoff?.state || 'bot',
             timestamp: Date.now()
         });
 
+        // Paused or taken over: staff see the message on the dashboard and answer themselves
+        if (this.isPaused() || this.handoff?.isHumanHandling(sessionId)) return;
+
         // Emit for agent processing
         this.emit('message', { channelName, sessionId, message, metadata, session });
     }
 
-    async sendResponse(channelName, sessionId, response) {
+    // response is plain text or a rich response (see agent/responses.js);
+    // staff is the name of the person who wrote it when it isn't the bot;
+    // sources are the knowledge passages the bot's answer is based on
+    async sendResponse(channelName, sessionId, response, { staff = null, sources = null } = {}) {
         const channel = this.channels.get(channelName);
         const session = this.sessions.get(sessionId);
+        const reply = normalizeResponse(response);
 
         // Save to session history
         if (session) {
             session.messages.push({
                 role: 'assistant',
-                content: response,
+                content: reply.text,
+                ...(staff ? { staff } : {}),
+                ...(sources ? { sources } : {}),
                 timestamp: Date.now()
             });
+            const choices = getChoices(reply);
+            session.choices = choices.length ? choices : null;
         }
 
         // Broadcast to dashboard
@@ -121,13 +188,29 @@ class Gateway extends EventEmitter {
             type: 'message:outgoing',
             channel: channelName,
             sessionId,
-            response,
+            response: reply.text,
+            rich: reply.buttons || reply.list || reply.images || reply.location ? reply : undefined,
+            staff: staff || undefined,
+            sources: sources || undefined,
             timestamp: Date.now()
         });
 
-        // Send via channel
+        // Send via channel; true when the channel says it went out
         if (channel && typeof channel.send === 'function') {
-            await channel.send(sessionId, response);
+            return (await channel.send(sessionId, reply)) === true;
+        }
+        return false;
+    }
+
+    // "typing..." on channels that support it, while the agent works on a reply
+    async setTyping(channelName, sessionId, isTyping) {
+        const channel = this.channels.get(channelName);
+        if (channel && typeof channel.setTyping === 'function') {
+            try {
+                await channel.setTyping(sessionId, isTyping);
+            } catch (err) {
+                // Presence is cosmetic - never fail a reply over it
+            }
         }
     }
 
@@ -20,11 +20,21 @@ async function main() {
 
     // Import components
     const Gateway = (await import('./gateway/server.js')).default;
+    const StaffCommands = (await import('./gateway/commands.js')).default;
+    const HandoffManager = (await import('./gateway/handoff.js')).default;
     const AgentRuntime = (await import('./agent/runtime.js')).default;
+    const UsageTracker = (await import('./agent/usage.js')).default;
     const WhatsAppChannel = (await import('./channels/whatsapp.js')).default;
+    const TelegramChannel = (await import('./channels/telegram.js')).default;
+    const WebChatChannel = (await import('./channels/web.js')).default;
     const Dashboard = (await import('./dashboard/server.js')).default;
     const OrdersManager = (await import('./orders/manager.js')).default;
+    const ComplaintCases = (await import('./orders/complaints.js')).default;
+    const OwnerNotifier = (await import('./notifications/notifier.js')).default;
+    const DailySummary = (await import('./reports/daily-summary.js')).default;
     const MemoryStore = (await import('./memory/store.js')).default;
+    const MediaStore = (await import('./media/store.js')).default;
+    const SpeechToText = (await import('./media/speech-to-text.js')).default;
     const SkillsManager = (await import('./skills/manager.js')).default;
     const RAGSystem = (await import('./knowledge/rag.js')).default;
     const WebScraper = (await import('./knowledge/web-scraper.js')).default;
@@ -35,14 +45,34 @@ async function main() {
     const gateway = new Gateway(parseInt(process.env.GATEWAY_PORT) || 18789);
     gateway.start();
 
+    // Staff taking chats over from the bot
+    const handoff = new HandoffManager(gateway);
+    await handoff.initialize();
+    gateway.setHandoff(handoff);
+
+    // Owner notifications (persisted outbox)
+    const notifier = new OwnerNotifier(gateway);
+    await notifier.initialize();
+
     // Orders Manager
-    const ordersManager = new OrdersManager(gateway);
+    const ordersManager = new OrdersManager(gateway, { notifier });
     await ordersManager.initialize();
 
+    // Owner / staff "/" commands over WhatsApp and Telegram
+    gateway.setCommandHandler(new StaffCommands(gateway, { ordersManager }));
+
+    // Complaint cases (SLA timers and customer follow-ups)
+    const complaints = new ComplaintCases(ordersManager);
+    await complaints.initialize();
+
     // Memory (Everlasting)
     const memoryStore = new MemoryStore();
     await memoryStore.initialize();
 
+    // Daily owner summary
+    const dailySummary = new DailySummary(ordersManager, memoryStore, notifier, gateway);
+    await dailySummary.initialize();
+
     // Skills Manager
     const skillsManager = new SkillsManager();
     await skillsManager.initialize();
@@ -51,27 +81,47 @@ async function main() {
     const knowledge = new RAGSystem();
     await knowledge.initialize();
 
-    // Web Scraper
-    const webScraper = new WebScraper();
+    // Connected websites, crawled into the knowledge base on a schedule
+    const webScraper = new WebScraper({ knowledge });
+    await webScraper.initialize();
+
+    // LLM token usage, cost and budget
+    const usageTracker = new UsageTracker();
+    await usageTracker.initialize();
 
     // Agent Runtime
-    const agent = new AgentRuntime(gateway, memoryStore, skillsManager);
+    const agent = new AgentRuntime(gateway, memoryStore, skillsManager, ordersManager, { handoff, usageTracker, knowledge });
     await agent.initialize();
 
+    // Customer media (photos, voice notes) and voice note transcription
+    const mediaStore = new MediaStore();
+    const speechToText = new SpeechToText();
+
     // WhatsApp Channel
-    const whatsapp = new WhatsAppChannel(gateway);
+    const whatsapp = new WhatsAppChannel(gateway, { mediaStore, speechToText });
     await whatsapp.start();
 
+    // Telegram Channel
+    const telegram = new TelegramChannel(gateway);
+    await telegram.start();
+
     // Dashboard with all components - handles setup in browser!
-    const dashboard = new Dashboard(gateway, ordersManager, memoryStore, skillsManager);
+    const dashboard = new Dashboard(gateway, ordersManager, memoryStore, skillsManager, { dailySummary, complaints, mediaStore, handoff, llm: agent.llm, usageTracker, knowledge, webScraper });
     dashboard.start();
 
+    // Website chat widget (served and socketed by the dashboard server)
+    const webChat = new WebChatChannel(gateway);
+    webChat.start(dashboard);
+
     // Register channels with gateway
     gateway.registerChannel('whatsapp', whatsapp);
+    gateway.registerChannel('telegram', telegram);
+    gateway.registerChannel('web', webChat);
 
-    // Handle admin messages from dashboard
-    gateway.on('admin:message', async (sessionId, message) => {
-        await agent.processAdminMessage(sessionId, message);
+    // Admin messages from the dashboard go to the customer as written (staff takeover)
+    gateway.on('admin:message', (sessionId, message) => {
+        handoff.sendStaffMessage(sessionId, message, { agent: 'Dashboard' })
+            .catch(err => console.error('❌ Staff message error:', err.message));
     });
 
     // Log startup
@@ -82,9 +132,16 @@ async function main() {
     process.on('SIGINT', shutdown);
     process.on('SIGTERM', shutdown);
 
-    function shutdown() {
+    async function shutdown() {
         console.log('\n\n🛑 Shutting down...');
         dashboard.logToTerminal('🛑 Server shutting down...');
+        await telegram.stop();
+        notifier.stop();
+        dailySummary.stop();
+        complaints.stop();
+        handoff.stop();
+        knowledge.stop();
+        webScraper.stop();
         gateway.close();
         process.exit(0);
     }
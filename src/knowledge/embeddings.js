@@ -0,0 +1,72 @@
+// Texts per request - keeps payloads well under provider limits
+const BATCH_SIZE = 32;
+
+/**
+ * Embeddings for semantic knowledge search
+ * EMBEDDINGS_PROVIDER picks the backend:
+ * - none:   keyword (BM25) search only (default)
+ * - openai: any OpenAI-compatible /embeddings endpoint (OpenAI, OpenRouter, LocalAI, ...)
+ *           EMBEDDINGS_BASE_URL, EMBEDDINGS_MODEL, EMBEDDINGS_API_KEY (falls back to OPENAI_API_KEY)
+ * - ollama: a local model, e.g. `ollama pull nomic-embed-text`
+ *           EMBEDDINGS_BASE_URL (default OLLAMA_BASE_URL), EMBEDDINGS_MODEL
+ */
+class EmbeddingProvider {
+    constructor(options = {}) {
+        this.provider = options.provider || process.env.EMBEDDINGS_PROVIDER || 'none';
+        this.model = options.model || process.env.EMBEDDINGS_MODEL ||
+            (this.provider === 'ollama' ? 'nomic-embed-text' : 'text-embedding-3-small');
+        this.baseURL = (options.baseURL || process.env.EMBEDDINGS_BASE_URL || (this.provider === 'ollama'
+            ? (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/v1\/?$/, '')
+            : 'https://api.openai.com/v1')).replace(/\/$/, '');
+        this.apiKey = options.apiKey || process.env.EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY || '';
+        this.timeoutMs = options.timeoutMs || 60000;
+    }
+
+    isEnabled() {
+        return this.provider === 'openai' || this.provider === 'ollama';
+    }
+
+    // Vectors from different models can't be compared - the index is rebuilt when this changes
+    get id() {
+        return `${this.provider}:${this.model}`;
+    }
+
+    // One vector per text, in order; throws if the provider fails
+    async embed(texts) {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+            const batch = texts.slice(i, i + BATCH_SIZE);
+            vectors.push(...(this.provider === 'ollama'
+                ? await this.embedWithOllama(batch)
+                : await this.embedWithAPI(batch)));
+        }
+        return vectors;
+    }
+
+    async post(url, body, headers = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async embedWithAPI(texts) {
+        const data = await this.post(`${this.baseURL}/embeddings`, { model: this.model, input: texts },
+            this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {});
+        return data.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+    }
+
+    async embedWithOllama(texts) {
+        const data = await this.post(`${this.baseURL}/api/embed`, { model: this.model, input: texts });
+        return data.embeddings;
+    }
+}
+
+export default EmbeddingProvider;
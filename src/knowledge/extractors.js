@@ -0,0 +1,158 @@
+import { extname } from 'path';
+
+/**
+ * Text extraction for knowledge documents
+ * Everything is turned into plain markdown-like text, so the chunker in rag.js
+ * can keep structure: "# " headings, "- " list items and "| a | b |" table rows.
+ * PDF and Word use the pdf-parse and mammoth packages, loaded only when needed.
+ */
+
+const EXTRACTORS = {
+    '.md': (buffer) => buffer.toString('utf-8'),
+    '.txt': (buffer) => buffer.toString('utf-8'),
+    '.html': (buffer) => htmlToText(buffer.toString('utf-8')),
+    '.htm': (buffer) => htmlToText(buffer.toString('utf-8')),
+    '.csv': (buffer) => csvToText(buffer.toString('utf-8')),
+    '.pdf': pdfToText,
+    '.docx': docxToText
+};
+
+export const SUPPORTED_EXTENSIONS = Object.keys(EXTRACTORS);
+
+export function isSupported(filename) {
+    return SUPPORTED_EXTENSIONS.includes(extname(filename).toLowerCase());
+}
+
+export async function extractText(filename, buffer) {
+    const extractor = EXTRACTORS[extname(filename).toLowerCase()];
+    if (!extractor) {
+        throw new Error(`Unsupported file type: ${extname(filename) || filename}`);
+    }
+
+    const text = await extractor(buffer);
+    // Same line endings and no runs of blank lines, whatever the source
+    return text.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Loaded when a file of that type first shows up, so a missing package only affects that type
+async function loadPackage(name, path = name) {
+    try {
+        return (await import(path)).default;
+    } catch (err) {
+        throw new Error(`Reading this file type needs the ${name} package (npm install ${name})`);
+    }
+}
+
+async function pdfToText(buffer) {
+    // The package's index runs a self-test when imported from ESM - load the library directly
+    const pdfParse = await loadPackage('pdf-parse', 'pdf-parse/lib/pdf-parse.js');
+    const { text } = await pdfParse(buffer);
+    if (!text.trim()) {
+        throw new Error('No text found in PDF (scanned PDFs need OCR first)');
+    }
+    return text;
+}
+
+async function docxToText(buffer) {
+    const mammoth = await loadPackage('mammoth');
+    // HTML keeps Word's headings, lists and tables
+    const { value } = await mammoth.convertToHtml({ buffer });
+    return htmlToText(value);
+}
+
+// ==================== HTML ====================
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', euro: '€', pound: '£' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isNaN(point) ? match : String.fromCodePoint(point);
+        }
+        return ENTITIES[code.toLowerCase()] ?? match;
+    });
+}
+
+function inlineText(html) {
+    return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+export function htmlToText(html) {
+    let text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|template|svg|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '');
+
+    // Tables first, so their cells aren't broken up by the block rules below
+    text = text.replace(/<table\b[\s\S]*?<\/table>/gi, (table) => {
+        const rows = [...table.matchAll(/<tr\b[\s\S]*?<\/tr>/gi)]
+            .map(([row]) => [...row.matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(([, cell]) => inlineText(cell).replace(/\|/g, '/')))
+            .filter(cells => cells.some(Boolean));
+        return rows.length ? `\n\n${rows.map(cells => `| ${cells.join(' | ')} |`).join('\n')}\n\n` : '\n\n';
+    });
+
+    text = text
+        .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, heading) => `\n\n${'#'.repeat(level)} ${inlineText(heading)}\n\n`)
+        .replace(/<li\b[^>]*>([\s\S]*?)<\/li>/gi, (match, item) => `\n- ${inlineText(item)}\n`)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|main|header|ul|ol|dl|dt|dd|blockquote|pre|figure|address)\b[^>]*>/gi, '\n\n');
+
+    return text
+        .split('\n')
+        .map(line => decodeEntities(line.replace(/<[^>]+>/g, ' ')).replace(/[ \t\u00a0]+/g, ' ').trim())
+        .join('\n');
+}
+
+// ==================== CSV ====================
+
+export function parseCsv(text) {
+    const firstLine = text.split('\n', 1)[0];
+    // Spreadsheets exported in some locales use ; and some tools use tabs
+    const delimiter = [',', ';', '\t'].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows
+        .map(cells => cells.map(cell => cell.trim()))
+        .filter(cells => cells.some(Boolean));
+}
+
+// A table with the first row as header (e.g. Wine | Region | Glass | Bottle)
+function csvToText(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    return rows.map(cells => `| ${cells.map(cell => cell.replace(/\|/g, '/').replace(/\s+/g, ' ')).join(' | ')} |`).join('\n');
+}
@@ -1,132 +1,637 @@
 import fs from 'fs/promises';
+import { watch } from 'fs';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { basename, dirname, extname, join } from 'path';
+import EmbeddingProvider from './embeddings.js';
+import { extractText, isSupported, SUPPORTED_EXTENSIONS } from './extractors.js';
+import DocumentVersions from './versions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '../..');
+const businessDir = join(projectRoot, 'data/business');
 
+// BM25 tuning (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words too common to say anything about a chunk
+const STOPWORDS = new Set(('a an and are as at be but by can do does for from have how i if in is it its me my ' +
+    'of on or our so that the their there this to us we what when where which who will with you your').split(' '));
+
+// Documents that can be edited as text through the API
+const TEXT_TYPES = ['md', 'txt', 'html', 'htm', 'csv'];
+
+// Hidden files and Office lock files (~$menu.docx) aren't documents
+function isDocumentFile(filename) {
+    return isSupported(filename) && !/^[.~]/.test(filename);
+}
+
+/**
+ * RAG Knowledge System
+ * Chunks of the documents in data/business, found by hybrid search:
+ * - BM25 keyword scoring, always on
+ * - cosine similarity of embeddings, when EMBEDDINGS_PROVIDER is set (knowledge/embeddings.js)
+ * Vectors are cached in data/knowledge/vectors.json, keyed by chunk content,
+ * so only new or edited chunks are embedded again. Files changed in data/business
+ * are re-indexed while running, and every change is kept as a version (versions.js).
+ */
 class RAGSystem {
-    constructor() {
+    constructor(options = {}) {
+        // Chunk content hash -> embedding
         this.vectors = new Map();
         this.documents = [];
+        this.embeddings = options.embeddings || new EmbeddingProvider();
+        this.indexPath = options.indexPath || join(projectRoot, 'data/knowledge/vectors.json');
+        // Weight of the vector score against BM25 in hybrid results
+        this.vectorWeight = options.vectorWeight ?? 0.6;
+        this.index = { chunks: [], documentFrequency: new Map(), averageLength: 0 };
+        this.versions = options.versions || new DocumentVersions();
+        this.watchFiles = options.watch ?? true;
+        this.watcher = null;
+        this.watchTimers = new Map();
+        // Index changes run one at a time
+        this.queue = Promise.resolve();
     }
 
     async initialize() {
         console.log('📚 Initializing RAG Knowledge System...');
         await this.ingestBusinessDocs();
-        console.log(`✅ Loaded ${this.documents.length} knowledge documents`);
+        this.buildIndex();
+        await this.loadVectors();
+        await this.embedChunks();
+        if (this.watchFiles) await this.startWatching();
+        console.log(`✅ Loaded ${this.documents.length} knowledge documents` +
+            (this.embeddings.isEnabled() ? ` (${this.vectors.size} vectors, ${this.embeddings.id})` : ''));
+    }
+
+    stop() {
+        this.watcher?.close();
+        this.watcher = null;
+        for (const timer of this.watchTimers.values()) clearTimeout(timer);
+        this.watchTimers.clear();
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
     }
 
     async ingestBusinessDocs() {
-        const businessDir = join(projectRoot, 'data/business');
+        let files;
+        try {
+            files = await fs.readdir(businessDir);
+        } catch (err) {
+            console.warn('⚠️ No business documents found yet');
+            return;
+        }
+
+        for (const file of files) {
+            if (isDocumentFile(file)) {
+                const buffer = await fs.readFile(join(businessDir, file));
+                const doc = await this.loadDocument(file, buffer);
+                // Files edited while the server was off get a new version now
+                await this.recordVersion(doc, buffer, 'file');
+                this.documents.push(doc);
+            }
+        }
+    }
 
+    async recordVersion(doc, buffer, source) {
         try {
-            const files = await fs.readdir(businessDir);
-
-            for (const file of files) {
-                if (file.endsWith('.md') || file.endsWith('.txt')) {
-                    const content = await fs.readFile(join(businessDir, file), 'utf-8');
-                    const doc = {
-                        id: `doc_${file}`,
-                        filename: file,
-                        content,
-                        chunks: this.chunkContent(content),
-                        createdAt: new Date().toISOString()
-                    };
-                    this.documents.push(doc);
+            doc.version = (await this.versions.record(doc.filename, buffer, { hash: doc.hash, source })).version;
+        } catch (err) {
+            console.error(`❌ Knowledge: Could not save version of ${doc.filename}:`, err.message);
+        }
+    }
+
+    // Text and chunks of a file; a file that can't be read is kept with its error for the dashboard
+    async loadDocument(filename, buffer, existing = null) {
+        const now = new Date().toISOString();
+        const doc = {
+            id: existing?.id || `doc_${filename}`,
+            filename,
+            type: extname(filename).slice(1).toLowerCase(),
+            size: buffer.length,
+            hash: this.hash(buffer),
+            version: existing?.version || null,
+            content: '',
+            chunks: [],
+            status: 'indexed',
+            error: null,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        try {
+            doc.content = await extractText(filename, buffer);
+            doc.chunks = this.chunkContent(doc.content);
+            if (!doc.chunks.length) doc.status = 'empty';
+        } catch (err) {
+            doc.status = 'failed';
+            doc.error = err.message;
+            console.error(`❌ Knowledge: Could not read ${filename}:`, err.message);
+        }
+        return doc;
+    }
+
+    // ==================== Chunking ====================
+
+    // Headings, tables, lists and paragraphs of the markdown-like text from extractors.js
+    parseBlocks(content) {
+        const blocks = [];
+        let paragraph = [];
+        let blankBefore = false;
+
+        const endParagraph = () => {
+            if (paragraph.length) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+            paragraph = [];
+        };
+
+        for (const line of content.split('\n')) {
+            const text = line.trim();
+            const heading = text.match(/^(#{1,6})\s+(.+)$/);
+            const listItem = /^([-*+•]|\d{1,3}[.)])\s+\S/.test(text);
+            const inParagraph = paragraph.length > 0;
+
+            if (!text) {
+                endParagraph();
+                blankBefore = true;
+                continue;
+            }
+
+            if (heading || text.startsWith('|') || listItem) endParagraph();
+            const last = blocks[blocks.length - 1];
+
+            if (heading) {
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].replace(/\s*#+$/, '') });
+            } else if (text.startsWith('|')) {
+                // Markdown separator rows (|---|---|) carry nothing
+                if (!/^\|[\s:|-]+$/.test(text)) {
+                    if (last?.type === 'table' && !blankBefore) last.rows.push(text);
+                    else blocks.push({ type: 'table', rows: [text] });
                 }
+            } else if (listItem) {
+                // Items separated by blank lines are still one list
+                if (last?.type === 'list') last.items.push(text);
+                else blocks.push({ type: 'list', items: [text] });
+            } else if (last?.type === 'list' && !inParagraph && !blankBefore && /^\s/.test(line)) {
+                // Indented continuation of the previous item
+                last.items[last.items.length - 1] += ` ${text}`;
+            } else {
+                paragraph.push(text);
             }
-        } catch (err) {
-            console.warn('⚠️ No business documents found yet');
+            blankBefore = false;
         }
+
+        endParagraph();
+        return blocks;
+    }
+
+    // Long paragraphs are split between sentences
+    splitText(text, chunkSize) {
+        if (text.length <= chunkSize) return [text];
+
+        const pieces = [];
+        let piece = '';
+        for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+            if (piece && (piece + sentence).length > chunkSize) {
+                pieces.push(piece.trim());
+                piece = '';
+            }
+            piece += `${sentence} `;
+        }
+        if (piece.trim()) pieces.push(piece.trim());
+        return pieces;
     }
 
+    // Chunks end at headings and never split a list item or table row. Each chunk
+    // starts with its heading path, and a table continued in the next chunk repeats its header.
     chunkContent(content, chunkSize = 500) {
-        // Simple chunking - split by sentences/paragraphs
-        const paragraphs = content.split(/\n\n+/);
         const chunks = [];
-        let currentChunk = '';
+        const headings = [];
+        let body = '';
 
-        for (const para of paragraphs) {
-            if ((currentChunk + para).length > chunkSize && currentChunk) {
-                chunks.push(currentChunk.trim());
-                currentChunk = '';
+        const flush = () => {
+            if (body.trim()) {
+                chunks.push([headings.filter(Boolean).join(' > '), body.trim()].filter(Boolean).join('\n\n'));
             }
-            currentChunk += para + '\n\n';
-        }
+            body = '';
+        };
+        // Starts a new chunk first when the text doesn't fit
+        const add = (text, separator) => {
+            if (body && body.length + separator.length + text.length > chunkSize) flush();
+            body += body ? separator + text : text;
+        };
 
-        if (currentChunk.trim()) {
-            chunks.push(currentChunk.trim());
+        for (const block of this.parseBlocks(content)) {
+            if (block.type === 'heading') {
+                flush();
+                headings.length = block.level - 1;
+                headings[block.level - 1] = block.text;
+            } else if (block.type === 'paragraph') {
+                this.splitText(block.text, chunkSize).forEach(piece => add(piece, '\n\n'));
+            } else if (block.type === 'list') {
+                block.items.forEach((item, i) => add(item, i === 0 ? '\n\n' : '\n'));
+            } else if (block.type === 'table') {
+                const [header, ...rows] = block.rows;
+                // The header goes with at least one row
+                add(rows.length ? `${header}\n${rows[0]}` : header, '\n\n');
+                for (const row of rows.slice(1)) {
+                    if (body.length + row.length + 1 > chunkSize) {
+                        flush();
+                        body = header;
+                    }
+                    body += `\n${row}`;
+                }
+            }
         }
 
+        flush();
         return chunks;
     }
 
-    async search(query, topK = 3) {
-        // Simple keyword-based search (no embeddings for now)
-        const queryLower = query.toLowerCase();
-        const results = [];
+    // ==================== Index ====================
+
+    hash(text) {
+        return createHash('sha1').update(text).digest('hex');
+    }
+
+    tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(word => word.length > 1 && !STOPWORDS.has(word))
+            // Cheap plural folding so "pets" matches "pet"
+            .map(word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+    }
+
+    // Term statistics for BM25; cheap enough to redo whenever a document changes
+    buildIndex() {
+        const chunks = [];
+        const documentFrequency = new Map();
 
         for (const doc of this.documents) {
-            for (let i = 0; i < doc.chunks.length; i++) {
-                const chunk = doc.chunks[i];
-                const chunkLower = chunk.toLowerCase();
-
-                // Calculate simple relevance score
-                let score = 0;
-                const queryWords = queryLower.split(/\s+/);
-
-                for (const word of queryWords) {
-                    if (word.length < 3) continue;
-                    if (chunkLower.includes(word)) {
-                        score += word.length;
-                    }
+            doc.chunks.forEach((content, chunkIndex) => {
+                const terms = new Map();
+                const tokens = this.tokenize(content);
+                for (const token of tokens) {
+                    terms.set(token, (terms.get(token) || 0) + 1);
                 }
-
-                if (score > 0) {
-                    results.push({
-                        docId: doc.id,
-                        filename: doc.filename,
-                        chunkIndex: i,
-                        content: chunk,
-                        score
-                    });
+                for (const term of terms.keys()) {
+                    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
                 }
+                chunks.push({ doc, chunkIndex, content, hash: this.hash(content), terms, length: tokens.length });
+            });
+        }
+
+        this.index = {
+            chunks,
+            documentFrequency,
+            averageLength: chunks.length ? chunks.reduce((sum, c) => sum + c.length, 0) / chunks.length : 0
+        };
+    }
+
+    bm25(queryTerms, chunk) {
+        const { chunks, documentFrequency, averageLength } = this.index;
+        let score = 0;
+
+        for (const term of queryTerms) {
+            const frequency = chunk.terms.get(term);
+            if (!frequency) continue;
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+            score += idf * (frequency * (BM25_K1 + 1)) /
+                (frequency + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / (averageLength || 1)));
+        }
+        return score;
+    }
+
+    cosine(a, b) {
+        if (!a || !b || a.length !== b.length) return 0;
+        let dot = 0, normA = 0, normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    async loadVectors() {
+        if (!this.embeddings.isEnabled()) return;
+
+        try {
+            const saved = JSON.parse(await fs.readFile(this.indexPath, 'utf-8'));
+            // Vectors of another model are useless - start over
+            if (saved.model === this.embeddings.id) {
+                this.vectors = new Map(Object.entries(saved.vectors || {}));
+            }
+        } catch (err) {
+            // No index yet
+        }
+    }
+
+    async saveVectors() {
+        // Drop vectors of chunks that no longer exist
+        const live = new Set(this.index.chunks.map(c => c.hash));
+        for (const hash of this.vectors.keys()) {
+            if (!live.has(hash)) this.vectors.delete(hash);
+        }
+
+        await fs.mkdir(dirname(this.indexPath), { recursive: true });
+        await fs.writeFile(this.indexPath, JSON.stringify({
+            model: this.embeddings.id,
+            updatedAt: new Date().toISOString(),
+            vectors: Object.fromEntries(this.vectors)
+        }));
+    }
+
+    // Embeds chunks that have no vector yet; keyword search keeps working if this fails
+    async embedChunks() {
+        if (!this.embeddings.isEnabled()) return;
+
+        const pending = [...new Map(this.index.chunks
+            .filter(c => !this.vectors.has(c.hash))
+            .map(c => [c.hash, c.content])).entries()];
+
+        try {
+            if (pending.length) {
+                const vectors = await this.embeddings.embed(pending.map(([, content]) => content));
+                pending.forEach(([hash], i) => this.vectors.set(hash, vectors[i]));
+                console.log(`🧠 Embedded ${pending.length} knowledge chunk${pending.length === 1 ? '' : 's'}`);
             }
+            await this.saveVectors();
+        } catch (err) {
+            console.error('❌ Embeddings failed, using keyword search:', err.message);
+        }
+    }
+
+    // ==================== Search ====================
+
+    async embedQuery(query) {
+        if (!this.embeddings.isEnabled() || !this.vectors.size) return null;
+        try {
+            const [vector] = await this.embeddings.embed([query]);
+            return vector;
+        } catch (err) {
+            console.error('❌ Query embedding failed, using keyword search:', err.message);
+            return null;
+        }
+    }
+
+    // Every matching chunk, best first, with how its score came about
+    async rank(query, { minScore = 0.2 } = {}) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        const queryVector = await this.embedQuery(query);
+
+        const scored = this.index.chunks.map(chunk => ({
+            chunk,
+            keyword: this.bm25(queryTerms, chunk),
+            vector: queryVector ? Math.max(0, this.cosine(queryVector, this.vectors.get(chunk.hash))) : 0
+        }));
+
+        const bestKeyword = Math.max(0, ...scored.map(s => s.keyword));
+        const results = [];
+
+        // Hybrid: BM25 (scaled to the best match) blended with cosine similarity
+        for (const { chunk, keyword, vector } of scored) {
+            const keywordScore = bestKeyword ? keyword / bestKeyword : 0;
+            const score = queryVector
+                ? this.vectorWeight * vector + (1 - this.vectorWeight) * keywordScore
+                : keywordScore;
+
+            // Without embeddings any keyword hit counts
+            if (queryVector ? score < minScore : keyword <= 0) continue;
+
+            results.push({
+                chunk,
+                score: Number(score.toFixed(4)),
+                keywordScore: Number(keywordScore.toFixed(4)),
+                vectorScore: queryVector ? Number(vector.toFixed(4)) : null,
+                matchedTerms: queryTerms.filter(term => chunk.terms.has(term))
+            });
         }
 
-        // Sort by score and return top K
         results.sort((a, b) => b.score - a.score);
-        return results.slice(0, topK);
+        return { queryTerms, mode: queryVector ? 'hybrid' : 'keyword', results };
     }
 
-    async addDocument(filename, content) {
-        const doc = {
-            id: `doc_${Date.now()}`,
-            filename,
-            content,
-            chunks: this.chunkContent(content),
-            createdAt: new Date().toISOString()
+    async search(query, topK = 3, options = {}) {
+        const { results } = await this.rank(query, options);
+        return results.slice(0, topK).map(({ chunk, score }) => ({
+            docId: chunk.doc.id,
+            filename: chunk.doc.filename,
+            chunkIndex: chunk.chunkIndex,
+            content: chunk.content,
+            score
+        }));
+    }
+
+    // What a question retrieves and why - for owners working out a wrong answer.
+    // The first `agentTopK` results are what search_knowledge gives the bot.
+    async testQuery(query, { limit = 10, agentTopK = 3 } = {}) {
+        const { queryTerms, mode, results } = await this.rank(query);
+        return {
+            query,
+            terms: queryTerms,
+            mode,
+            total: results.length,
+            results: results.slice(0, limit).map(({ chunk, ...scores }, i) => ({
+                filename: chunk.doc.filename,
+                chunkIndex: chunk.chunkIndex,
+                ...scores,
+                sentToAgent: i < agentTopK,
+                content: chunk.content
+            }))
         };
+    }
+
+    // ==================== Documents ====================
+
+    // Saves the file to data/business and (re-)indexes it; only new chunks are embedded
+    async saveDocument(filename, buffer, { source = 'api' } = {}) {
+        return this.enqueue(async () => {
+            const existing = this.documents.find(d => d.filename === filename);
+            const doc = await this.loadDocument(filename, buffer, existing);
+            if (doc.status === 'failed') return doc;
+
+            await fs.mkdir(businessDir, { recursive: true });
+            await fs.writeFile(join(businessDir, filename), buffer);
+            await this.recordVersion(doc, buffer, source);
+
+            this.replaceDocument(existing, doc);
+            await this.embedChunks();
+            return doc;
+        });
+    }
+
+    replaceDocument(existing, doc) {
+        this.documents = this.documents.filter(d => d !== existing);
+        if (doc) this.documents.push(doc);
+        this.buildIndex();
+    }
+
+    async addDocument(filename, content) {
+        return this.saveDocument(filename, Buffer.from(content));
+    }
 
-        this.documents.push(doc);
+    safeFilename(filename) {
+        return basename(filename || '').replace(/[^\w.\- ]+/g, '_').trim();
+    }
+
+    // Upload from the dashboard (PDF, Word, HTML, CSV, markdown or text)
+    async ingestFile(filename, buffer, { source = 'upload' } = {}) {
+        const name = this.safeFilename(filename);
+        if (!name || !isDocumentFile(name)) {
+            return { success: false, error: 'unsupported_type', message: `Supported: ${SUPPORTED_EXTENSIONS.join(', ')}` };
+        }
+        return this.storeDocument(name, buffer, { source });
+    }
+
+    // Saves under the exact filename given - only names from outside go through safeFilename
+    async storeDocument(filename, buffer, { source }) {
+        if (!buffer?.length) {
+            return { success: false, error: 'empty_file' };
+        }
 
-        // Save to file
-        const businessDir = join(projectRoot, 'data/business');
+        const doc = await this.saveDocument(filename, buffer, { source });
+        if (doc.status === 'failed') {
+            return { success: false, error: 'extraction_failed', message: doc.error };
+        }
+        return { success: true, document: this.getDocument(filename) };
+    }
+
+    async createDocument(filename, content) {
+        if (this.documents.some(d => d.filename === this.safeFilename(filename))) {
+            return { success: false, error: 'already_exists' };
+        }
+        return this.ingestFile(filename, Buffer.from(content || ''), { source: 'api' });
+    }
+
+    async updateDocument(filename, content) {
+        const doc = this.documents.find(d => d.filename === filename);
+        if (!doc) return { success: false, error: 'not_found' };
+        if (!TEXT_TYPES.includes(doc.type)) {
+            return { success: false, error: 'not_editable', message: 'Upload a new file to replace PDF or Word documents' };
+        }
+        return this.storeDocument(doc.filename, Buffer.from(content || ''), { source: 'api' });
+    }
+
+    async deleteDocument(filename, { source = 'api' } = {}) {
+        return this.enqueue(async () => {
+            const doc = this.documents.find(d => d.filename === filename);
+            if (!doc) return { success: false, error: 'not_found' };
+
+            await fs.rm(join(businessDir, filename), { force: true });
+            await this.versions.recordDeletion(filename, { source });
+            this.replaceDocument(doc, null);
+            if (this.embeddings.isEnabled()) await this.saveVectors();
+            return { success: true, filename };
+        });
+    }
+
+    async getVersions(filename) {
+        return this.versions.list(filename);
+    }
+
+    async restoreVersion(filename, version) {
+        const buffer = await this.versions.read(filename, version);
+        if (!buffer) return { success: false, error: 'not_found' };
+        return this.storeDocument(filename, buffer, { source: `restore v${version}` });
+    }
+
+    // A file in data/business was added, changed or removed outside the app
+    async reloadFile(filename) {
+        return this.enqueue(async () => {
+            const existing = this.documents.find(d => d.filename === filename);
+            let buffer;
+            try {
+                buffer = await fs.readFile(join(businessDir, filename));
+            } catch (err) {
+                if (!existing) return;
+                await this.versions.recordDeletion(filename, { source: 'file' });
+                this.replaceDocument(existing, null);
+                console.log(`🗑️ Knowledge: ${filename} removed`);
+                return;
+            }
+
+            // Our own writes land here too
+            if (existing?.hash === this.hash(buffer)) return;
+
+            const doc = await this.loadDocument(filename, buffer, existing);
+            await this.recordVersion(doc, buffer, 'file');
+            this.replaceDocument(existing, doc);
+            await this.embedChunks();
+            console.log(`🔄 Knowledge: ${filename} ${existing ? 'reloaded' : 'added'} (${doc.chunks.length} chunks)`);
+        });
+    }
+
+    // Re-reads everything in data/business
+    async reload() {
+        return this.enqueue(async () => {
+            this.documents = [];
+            await this.ingestBusinessDocs();
+            this.buildIndex();
+            await this.embedChunks();
+            return { success: true, documents: this.documents.length };
+        });
+    }
+
+    // Picks up files added, edited or deleted in data/business while running
+    async startWatching() {
         await fs.mkdir(businessDir, { recursive: true });
-        await fs.writeFile(join(businessDir, filename), content);
+        try {
+            this.watcher = watch(businessDir, { persistent: false }, (event, filename) => {
+                if (!filename || !isDocumentFile(filename)) return;
 
-        return doc;
+                // Editors save in several steps - wait until the file settles
+                clearTimeout(this.watchTimers.get(filename));
+                this.watchTimers.set(filename, setTimeout(() => {
+                    this.watchTimers.delete(filename);
+                    this.reloadFile(filename).catch(err => console.error(`❌ Knowledge: Reload of ${filename} failed:`, err.message));
+                }, 500));
+            });
+            this.watcher.on('error', err => console.warn('⚠️ Knowledge: File watcher stopped:', err.message));
+        } catch (err) {
+            console.warn('⚠️ Knowledge: Not watching data/business for changes:', err.message);
+        }
+    }
+
+    // Embedded = chunks that have a vector (semantic search works for them)
+    describeDocument(doc) {
+        return {
+            id: doc.id,
+            filename: doc.filename,
+            type: doc.type,
+            size: doc.size,
+            status: doc.status,
+            error: doc.error,
+            version: doc.version,
+            chunks: doc.chunks.length,
+            embedded: doc.chunks.filter(chunk => this.vectors.has(this.hash(chunk))).length,
+            createdAt: doc.createdAt,
+            updatedAt: doc.updatedAt
+        };
+    }
+
+    // One document with a preview of each chunk
+    getDocument(filename) {
+        const doc = this.documents.find(d => d.filename === filename);
+        if (!doc) return null;
+
+        return {
+            ...this.describeDocument(doc),
+            previews: doc.chunks.map((chunk, index) => ({
+                index,
+                length: chunk.length,
+                text: chunk.length > 240 ? `${chunk.substring(0, 240)}…` : chunk
+            }))
+        };
     }
 
     getAllDocuments() {
-        return this.documents.map(d => ({
-            id: d.id,
-            filename: d.filename,
-            chunks: d.chunks.length,
-            createdAt: d.createdAt
-        }));
+        return this.documents.map(d => this.describeDocument(d));
     }
 }
 
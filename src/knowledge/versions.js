@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, extname, join } from 'path';
+import OrdersRepository from '../orders/repository.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+/**
+ * Knowledge Document Versions
+ * Every change to a document in data/business gets the next version number, and a
+ * copy of the file as it was is kept under data/knowledge/versions/<filename>/ so it
+ * can be compared or restored. Records are in data/knowledge/versions.json.
+ */
+class DocumentVersions {
+    constructor({ repository = null, dir = null } = {}) {
+        this.repository = repository || new OrdersRepository(join(projectRoot, 'data/knowledge'));
+        this.dir = dir || join(projectRoot, 'data/knowledge/versions');
+    }
+
+    latestOf(records, filename) {
+        return records
+            .filter(v => v.filename === filename)
+            .reduce((latest, v) => (!latest || v.version > latest.version ? v : latest), null);
+    }
+
+    // Newest first
+    async list(filename) {
+        const versions = await this.repository.find('versions', v => v.filename === filename);
+        return versions.sort((a, b) => b.version - a.version);
+    }
+
+    async latest(filename) {
+        return this.latestOf(await this.repository.read('versions'), filename);
+    }
+
+    // New version unless the content is the same as the latest one; returns the current version
+    async record(filename, buffer, { hash, source = 'file' }) {
+        return this.repository.transaction('versions', async (tx) => {
+            const latest = this.latestOf(tx.records, filename);
+            if (latest && !latest.deleted && latest.hash === hash) return latest;
+
+            const version = (latest?.version || 0) + 1;
+            await fs.mkdir(join(this.dir, filename), { recursive: true });
+            await fs.writeFile(this.pathFor(filename, version), buffer);
+
+            return tx.insert({
+                id: `${filename}@${version}`,
+                filename,
+                version,
+                hash,
+                size: buffer.length,
+                source,
+                deleted: false,
+                createdAt: new Date().toISOString()
+            });
+        });
+    }
+
+    // Deleting is a version too, so the history shows when the document went away
+    async recordDeletion(filename, { source = 'file' } = {}) {
+        return this.repository.transaction('versions', (tx) => {
+            const latest = this.latestOf(tx.records, filename);
+            if (!latest || latest.deleted) return latest;
+
+            return tx.insert({
+                id: `${filename}@${latest.version + 1}`,
+                filename,
+                version: latest.version + 1,
+                hash: null,
+                size: 0,
+                source,
+                deleted: true,
+                createdAt: new Date().toISOString()
+            });
+        });
+    }
+
+    pathFor(filename, version) {
+        return join(this.dir, filename, `v${version}${extname(filename)}`);
+    }
+
+    // The file as it was at a version, or null
+    async read(filename, version) {
+        const record = await this.repository.get('versions', `${filename}@${version}`);
+        if (!record || record.deleted) return null;
+
+        try {
+            return await fs.readFile(this.pathFor(filename, version));
+        } catch (err) {
+            return null;
+        }
+    }
+}
+
+export default DocumentVersions;
@@ -1,27 +1,143 @@
 import https from 'https';
 import http from 'http';
+import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { lookup as dnsLookup } from 'dns';
+import { lookup } from 'dns/promises';
+import { isIP } from 'net';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import OrdersRepository from '../orders/repository.js';
+import { htmlToText } from './extractors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+const USER_AGENT = 'Restaurant-Concierge/1.0';
+
+const DEFAULT_SYNC = {
+    // Each website is crawled again after this long, so changes reach the bot within the hour
+    interval_minutes: 30,
+    max_depth: 2,
+    max_pages: 30,
+    // Pause between requests to one site, unless robots.txt asks for a longer Crawl-delay
+    delay_ms: 500
+};
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Loopback, private, link-local and unspecified addresses (IPv4 and IPv6)
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6, written either way (URL turns ::ffff:127.0.0.1 into ::ffff:7f00:1)
+    const mapped = address.toLowerCase().match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+        return isPrivateAddress(mapped[1] || [mapped[2], mapped[3]]
+            .flatMap(group => [parseInt(group, 16) >> 8, parseInt(group, 16) & 255]).join('.'));
+    }
+
+    if (isIP(address) === 4) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168);
+    }
+
+    const ip = address.toLowerCase();
+    return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip);
+}
+
+// localhost, or an IP address that is private
+function isPrivateHostname(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+    return isIP(host) ? isPrivateAddress(host) : false;
+}
+
+// dns.lookup for http(s).request that refuses private addresses. It runs as each
+// connection is made, so a name re-pointed after it was checked (DNS rebinding) is still refused
+function publicLookup(hostname, options, callback) {
+    dnsLookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some(a => isPrivateAddress(a.address))) {
+            return callback(new Error(`${hostname} resolves to a local or private address`));
+        }
+        callback(null, address, family);
+    });
+}
 
 /**
  * Web Scraper / Data Fetcher
- * Allows agent to fetch data from business websites, APIs, and databases
+ * Allows agent to fetch data from business websites, APIs, and databases.
+ * Connected websites are crawled on a schedule (config/agent.json "knowledge.sync")
+ * and every page becomes a knowledge document (web-<page>.md) in the RAGSystem:
+ * - same-site links only, up to max_depth clicks and max_pages pages
+ * - robots.txt rules and Crawl-delay are respected, as are noindex/nofollow tags
+ * - unchanged pages are skipped with ETag / Last-Modified (304 Not Modified)
+ * Sources and their last sync are stored in data/knowledge/sources.json.
  */
 class WebScraper {
-    constructor() {
+    constructor({ knowledge = null, repository = null } = {}) {
         this.connectedSources = new Map();
         this.cache = new Map();
+        this.knowledge = knowledge;
+        this.repository = repository || new OrdersRepository(join(projectRoot, 'data/knowledge'));
+        this.config = { ...DEFAULT_SYNC };
+        this.syncing = new Set();
+        this.timer = null;
+    }
+
+    async initialize() {
+        await this.loadConfig();
+        for (const source of await this.repository.read('sources')) {
+            this.connectedSources.set(source.name, source);
+        }
+
+        // Check every few minutes which sites are due; the first check runs now
+        this.timer = setInterval(() => this.syncDue(), 5 * 60 * 1000);
+        this.timer.unref?.();
+        this.syncDue();
+    }
+
+    async loadConfig() {
+        try {
+            const data = await fs.readFile(join(projectRoot, 'config/agent.json'), 'utf-8');
+            this.config = { ...DEFAULT_SYNC, ...(JSON.parse(data).knowledge?.sync || {}) };
+        } catch (err) {
+            this.config = { ...DEFAULT_SYNC };
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
     }
 
     // Fetch content from a URL
+    // publicOnly: refuse local and private addresses (website crawling)
     async fetch(url, options = {}) {
-        const { method = 'GET', headers = {}, body = null, timeout = 10000 } = options;
+        const { method = 'GET', headers = {}, body = null, timeout = 10000, maxBytes = 5 * 1024 * 1024, publicOnly = false } = options;
+        if (publicOnly && isPrivateHostname(new URL(url).hostname)) {
+            throw new Error(`${new URL(url).hostname} is a local or private address`);
+        }
 
         return new Promise((resolve, reject) => {
             const protocol = url.startsWith('https') ? https : http;
 
-            const req = protocol.request(url, { method, headers, timeout }, (res) => {
+            const req = protocol.request(url, { method, headers, timeout, ...(publicOnly ? { lookup: publicLookup } : {}) }, (res) => {
                 let data = '';
 
-                res.on('data', chunk => data += chunk);
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    data += chunk;
+                    if (data.length > maxBytes) req.destroy(new Error('Response too large'));
+                });
                 res.on('end', () => {
                     resolve({
                         status: res.statusCode,
@@ -33,7 +149,7 @@ class WebScraper {
             });
 
             req.on('error', reject);
-            req.on('timeout', () => reject(new Error('Request timeout')));
+            req.on('timeout', () => req.destroy(new Error('Request timeout')));
 
             if (body) req.write(body);
             req.end();
@@ -126,27 +242,365 @@ class WebScraper {
         }
     }
 
-    // Connect a data source
-    connectSource(name, type, config) {
-        this.connectedSources.set(name, {
+    // Connect a data source; websites are crawled into the knowledge base
+    // config for websites: { url, maxDepth, maxPages }
+    async connectSource(name, type, config) {
+        const existing = this.connectedSources.get(name);
+        const source = {
+            id: name,
+            name,
             type, // 'website', 'api', 'database'
             config,
-            connectedAt: new Date().toISOString(),
-            status: 'connected'
+            connectedAt: existing?.connectedAt || new Date().toISOString(),
+            status: 'connected',
+            pages: existing?.config?.url === config.url ? existing.pages || {} : {},
+            lastSync: existing?.lastSync || null
+        };
+
+        this.connectedSources.set(name, source);
+        await this.saveSource(source);
+        if (type === 'website') this.syncSource(name).catch(() => {});
+        return source;
+    }
+
+    async saveSource(source) {
+        await this.repository.transaction('sources', (tx) => {
+            if (!tx.update(source.id, draft => { Object.assign(draft, structuredClone(source)); })) {
+                tx.insert(structuredClone(source));
+            }
         });
     }
 
     // Get connected sources
     getConnectedSources() {
-        return Array.from(this.connectedSources.entries()).map(([name, data]) => ({
-            name,
-            ...data
+        return Array.from(this.connectedSources.values()).map(({ pages, ...source }) => ({
+            ...source,
+            pageCount: Object.values(pages || {}).filter(p => p.filename).length,
+            syncing: this.syncing.has(source.name),
+            nextSyncAt: source.type === 'website' ? this.nextSyncAt(source) : null
         }));
     }
 
-    // Disconnect a source
-    disconnectSource(name) {
+    // Disconnect a source (its pages leave the knowledge base)
+    async disconnectSource(name) {
+        const source = this.connectedSources.get(name);
+        if (!source) return { success: false, error: 'not_found' };
+
         this.connectedSources.delete(name);
+        await this.repository.remove('sources', source.id);
+        for (const page of Object.values(source.pages || {})) {
+            if (page.filename) await this.knowledge?.deleteDocument(page.filename, { source: 'crawl' });
+        }
+        return { success: true, name };
+    }
+
+    // ==================== Website sync ====================
+
+    nextSyncAt(source) {
+        const last = source.lastSync?.startedAt ? new Date(source.lastSync.startedAt).getTime() : 0;
+        return new Date(last + this.config.interval_minutes * 60 * 1000).toISOString();
+    }
+
+    async syncDue() {
+        for (const source of this.connectedSources.values()) {
+            if (source.type !== 'website' || this.syncing.has(source.name)) continue;
+            if (new Date(this.nextSyncAt(source)) > new Date()) continue;
+
+            try {
+                await this.syncSource(source.name);
+            } catch (err) {
+                console.error(`❌ Website sync (${source.name}) failed:`, err.message);
+            }
+        }
+    }
+
+    // Crawls one website and updates its knowledge documents
+    async syncSource(name) {
+        const source = this.connectedSources.get(name);
+        if (!source || source.type !== 'website') return { success: false, error: 'not_found' };
+        if (this.syncing.has(name)) return { success: false, error: 'already_syncing' };
+
+        this.syncing.add(name);
+        const stats = { startedAt: new Date().toISOString(), pages: 0, added: 0, updated: 0, unchanged: 0, removed: 0, blocked: 0, errors: [] };
+        source.lastSync = { ...source.lastSync, status: 'running', startedAt: stats.startedAt };
+
+        try {
+            const pages = await this.crawl(source, stats);
+
+            for (const [url, page] of Object.entries(source.pages || {})) {
+                if (pages[url]) continue;
+                if (stats.errors.length) {
+                    // The crawl may not have reached it - keep it until a clean sync
+                    pages[url] = page;
+                } else if (page.filename) {
+                    // Gone from the site, so gone from the knowledge base
+                    await this.knowledge?.deleteDocument(page.filename, { source: 'crawl' });
+                    stats.removed++;
+                }
+            }
+
+            source.pages = pages;
+            source.lastSync = {
+                ...stats,
+                status: stats.errors.length ? (stats.pages ? 'partial' : 'failed') : 'ok',
+                errors: stats.errors.slice(0, 5),
+                finishedAt: new Date().toISOString()
+            };
+            console.log(`🌐 Website sync (${name}): ${stats.pages} pages, ${stats.added} new, ${stats.updated} updated, ${stats.removed} removed`);
+        } catch (err) {
+            source.lastSync = { ...stats, status: 'failed', error: err.message, finishedAt: new Date().toISOString() };
+            console.error(`❌ Website sync (${name}) failed:`, err.message);
+        } finally {
+            this.syncing.delete(name);
+            await this.saveSource(source);
+        }
+
+        return { success: source.lastSync.status !== 'failed', error: source.lastSync.error, source: this.getConnectedSources().find(s => s.name === name) };
+    }
+
+    // Websites only - never the machine the bot runs on or its local network.
+    // Names are resolved too, so one pointing at a private address is refused.
+    // Crawl requests are checked again as they connect (see publicLookup).
+    async isPublicHost(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (isPrivateHostname(host)) return false;
+        if (isIP(host)) return true;
+
+        try {
+            const addresses = await lookup(host, { all: true });
+            return addresses.length > 0 && !addresses.some(a => isPrivateAddress(a.address));
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // Where the site really starts: a redirect on the start URL (http -> https,
+    // example.com -> www.example.com) moves the whole crawl to that origin
+    async resolveStart(start) {
+        let url = start;
+        for (let hops = 0; hops < 3; hops++) {
+            const response = await this.fetch(url.href, { method: 'HEAD', headers: { 'User-Agent': USER_AGENT }, publicOnly: true });
+            if (!REDIRECT_STATUSES.includes(response.status) || !response.headers.location) break;
+
+            const target = new URL(response.headers.location, url);
+            if (!/^https?:$/.test(target.protocol)) break;
+            url = target;
+        }
+        return url;
+    }
+
+    // Breadth-first crawl of the site; returns the page map (url -> page) to keep
+    async crawl(source, stats) {
+        const start = await this.resolveStart(new URL(source.config.url));
+        const maxDepth = source.config.maxDepth ?? this.config.max_depth;
+        const maxPages = source.config.maxPages ?? this.config.max_pages;
+        const robots = await this.fetchRobots(start.origin);
+        const delay = Math.max(this.config.delay_ms, Math.min(robots.crawlDelay || 0, 10) * 1000);
+
+        const previous = source.pages || {};
+        const pages = {};
+        const queue = [{ url: this.normalizeUrl(start), depth: 0 }];
+        const seen = new Set([queue[0].url]);
+
+        while (queue.length && stats.pages < maxPages) {
+            const { url, depth } = queue.shift();
+            if (!this.isAllowed(robots, url)) {
+                stats.blocked++;
+                continue;
+            }
+
+            if (stats.pages > 0 && delay) await sleep(delay);
+            let page;
+            try {
+                page = await this.syncPage(url, previous[url], stats);
+            } catch (err) {
+                stats.errors.push(`${url}: ${err.message}`);
+                // Keep what we had for a page that failed this time
+                if (previous[url]) pages[url] = previous[url];
+                continue;
+            }
+            if (!page) continue;
+
+            pages[url] = page;
+            stats.pages++;
+
+            if (depth < maxDepth && page.follow) {
+                for (const link of page.links) {
+                    if (!seen.has(link) && new URL(link).origin === start.origin) {
+                        seen.add(link);
+                        queue.push({ url: link, depth: depth + 1 });
+                    }
+                }
+            }
+        }
+
+        // Nothing read at all is never "the site is empty" - keep the pages we have
+        if (!stats.pages && !stats.errors.length) {
+            stats.errors.push(`${start.href}: no pages could be crawled`);
+        }
+
+        return pages;
+    }
+
+    // Fetches one page (conditionally) and updates its knowledge document; null if it's gone
+    async syncPage(url, previous, stats) {
+        const headers = { 'User-Agent': USER_AGENT, 'Accept': 'text/html' };
+        // Ask "changed since?" only while our copy is still in the knowledge base
+        if (!previous?.filename || !this.knowledge || this.knowledge.getDocument(previous.filename)) {
+            if (previous?.etag) headers['If-None-Match'] = previous.etag;
+            if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+        }
+
+        let finalUrl = url;
+        let response = await this.fetch(url, { headers, publicOnly: true });
+        // Follow same-site redirects (e.g. /menu -> /menu/)
+        for (let hops = 0; REDIRECT_STATUSES.includes(response.status) && response.headers.location && hops < 3; hops++) {
+            const target = new URL(response.headers.location, finalUrl);
+            if (target.origin !== new URL(url).origin) {
+                throw new Error(`redirects off-site to ${target.origin}`);
+            }
+            finalUrl = target.href;
+            response = await this.fetch(finalUrl, { headers, publicOnly: true });
+        }
+
+        if (response.status === 304 && previous) {
+            stats.unchanged++;
+            return { ...previous, checkedAt: new Date().toISOString() };
+        }
+        if (response.status === 404 || response.status === 410) return null;
+        if (response.status !== 200) throw new Error(`HTTP ${response.status}`);
+        if (!/html/i.test(response.contentType || '')) return null;
+
+        const html = response.body;
+        const robotsMeta = (html.match(/<meta[^>]*name=["']robots["'][^>]*content=["']([^"']+)["']/i)?.[1] || '').toLowerCase();
+        const page = {
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null,
+            links: this.extractLinks(html, finalUrl),
+            follow: !robotsMeta.includes('nofollow'),
+            filename: null,
+            hash: null,
+            checkedAt: new Date().toISOString()
+        };
+        if (robotsMeta.includes('noindex')) return page;
+
+        const title = (html.match(/<title[^>]*>([^<]+)<\/title>/i)?.[1] || '').trim();
+        const text = htmlToText(html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] || html);
+        const content = `# ${htmlToText(title) || url}\n\nSource: ${url}\n\n${text}`.replace(/\n{3,}/g, '\n\n');
+        this.cache.set(url, { content: text, scrapedAt: page.checkedAt });
+
+        page.filename = previous?.filename || this.filenameFor(url);
+        page.hash = createHash('sha1').update(content).digest('hex');
+
+        // Same text under a new ETag (e.g. a timestamp in the page) - nothing to re-index
+        if (previous?.hash === page.hash && this.knowledge?.getDocument(page.filename)) {
+            stats.unchanged++;
+            return page;
+        }
+
+        if (this.knowledge) {
+            const result = await this.knowledge.ingestFile(page.filename, Buffer.from(content), { source: 'crawl' });
+            if (!result.success) throw new Error(result.message || result.error);
+        }
+        previous?.filename ? stats.updated++ : stats.added++;
+        return page;
+    }
+
+    normalizeUrl(url) {
+        const normalized = new URL(url);
+        normalized.hash = '';
+        return normalized.href;
+    }
+
+    extractLinks(html, baseUrl) {
+        const links = new Set();
+        for (const [, href] of html.matchAll(/<a\b[^>]*?\shref\s*=\s*["']([^"']+)["']/gi)) {
+            try {
+                const url = new URL(href.replace(/&amp;/g, '&'), baseUrl);
+                // Pages only - not images, PDFs, mailto: or tel: links
+                if (!/^https?:$/.test(url.protocol) || /\.(jpe?g|png|gif|webp|svg|pdf|zip|mp4|mp3|css|js|ico|xml)$/i.test(url.pathname)) continue;
+                links.add(this.normalizeUrl(url));
+            } catch (err) {
+                // Not a valid URL
+            }
+        }
+        return [...links];
+    }
+
+    // web-<host>-<path>-<hash>.md, short and safe as a file name. The hash of the full
+    // URL keeps pages apart whose slugs come out the same (/menu?a=1 and /menu/a-1)
+    filenameFor(url) {
+        const { host, pathname, search } = new URL(url);
+        const slug = `${host}${pathname}${search}`.replace(/[^\w.]+/g, '-').substring(0, 70).replace(/^-+|-+$/g, '');
+        return `web-${slug}-${createHash('sha1').update(url).digest('hex').substring(0, 8)}.md`;
+    }
+
+    // ==================== robots.txt ====================
+
+    async fetchRobots(origin) {
+        try {
+            const response = await this.fetch(`${origin}/robots.txt`, { headers: { 'User-Agent': USER_AGENT }, publicOnly: true });
+            if (response.status === 200) return this.parseRobots(response.body);
+            // A server error may mean "don't crawl right now" - play safe
+            if (response.status >= 500) throw new Error(`robots.txt returned HTTP ${response.status}`);
+            return { rules: [], crawlDelay: null };
+        } catch (err) {
+            throw new Error(`Could not read robots.txt: ${err.message}`);
+        }
+    }
+
+    // Rules of the group for our user agent, or for *
+    parseRobots(text) {
+        const groups = [];
+        let group = null;
+        let readingAgents = false;
+
+        for (const raw of text.split('\n')) {
+            const match = raw.replace(/#.*/, '').trim().match(/^([\w-]+)\s*:\s*(.*)$/);
+            if (!match) continue;
+            const field = match[1].toLowerCase();
+            const value = match[2].trim();
+
+            if (field === 'user-agent') {
+                if (!readingAgents) {
+                    group = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(group);
+                }
+                group.agents.push(value.toLowerCase());
+                readingAgents = true;
+                continue;
+            }
+
+            readingAgents = false;
+            if (!group) continue;
+            // An empty Disallow allows everything
+            if ((field === 'allow' || field === 'disallow') && value) {
+                group.rules.push({ allow: field === 'allow', path: value });
+            } else if (field === 'crawl-delay') {
+                group.crawlDelay = parseFloat(value) || null;
+            }
+        }
+
+        const agent = USER_AGENT.toLowerCase();
+        const chosen = groups.find(g => g.agents.some(a => a !== '*' && agent.startsWith(a))) ||
+            groups.find(g => g.agents.includes('*'));
+        return { rules: chosen?.rules || [], crawlDelay: chosen?.crawlDelay || null };
+    }
+
+    // Longest matching rule wins, Allow on a tie (as Google does)
+    isAllowed(robots, url) {
+        const { pathname, search } = new URL(url);
+        const path = `${pathname}${search}`;
+        let best = null;
+
+        for (const rule of robots.rules) {
+            const pattern = new RegExp(`^${rule.path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*').replace(/\\\$$/, '$')}`);
+            if (!pattern.test(path)) continue;
+            if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        }
+        return !best || best.allow;
     }
 
     // Search within scraped content
@@ -158,7 +612,7 @@ class WebScraper {
             // Find context around match
             const index = c.indexOf(q);
             const start = Math.max(0, index - 100);
-            const end = Math.min(content.length, index + q + 100);
+            const end = Math.min(content.length, index + q.length + 100);
 
             return {
                 found: true,
@@ -170,26 +624,37 @@ class WebScraper {
         return { found: false };
     }
 
-    // Smart search across all connected sources
+    // Smart search across all connected sources - answered from the synced pages, not by scraping again
     async smartSearch(query) {
-        const results = [];
-
+        const pageSource = new Map();
         for (const [name, source] of this.connectedSources) {
-            if (source.type === 'website' && source.config.url) {
-                const content = await this.scrapeWebsite(source.config.url);
-                if (content.content) {
-                    const match = this.searchContent(query, content.content);
-                    if (match.found) {
-                        results.push({
-                            source: name,
-                            type: 'website',
-                            ...match
-                        });
-                    }
-                }
+            for (const [url, page] of Object.entries(source.pages || {})) {
+                if (page.filename) pageSource.set(page.filename, { name, url });
             }
         }
 
+        if (this.knowledge) {
+            const results = await this.knowledge.search(query, 10);
+            return results
+                .filter(r => pageSource.has(r.filename))
+                .map(r => ({
+                    source: pageSource.get(r.filename).name,
+                    type: 'website',
+                    url: pageSource.get(r.filename).url,
+                    found: true,
+                    context: r.content,
+                    score: r.score
+                }));
+        }
+
+        const results = [];
+        for (const [, { name, url }] of pageSource) {
+            const cached = this.cache.get(url);
+            const match = cached ? this.searchContent(query, cached.content) : { found: false };
+            if (match.found) {
+                results.push({ source: name, type: 'website', url, ...match });
+            }
+        }
         return results;
     }
 }
@@ -0,0 +1,77 @@
+import fs from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { basename } from 'path';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Speech-to-Text for voice notes
+ * STT_PROVIDER picks the backend:
+ * - none:    voice notes are saved but not transcribed (default)
+ * - command: run a local program, e.g. whisper.cpp
+ *            STT_COMMAND="ffmpeg -loglevel quiet -i {file} -ar 16000 -f wav - | whisper-cli -m models/ggml-base.bin -nt -f -"
+ *            {file} is replaced with the audio path; the transcript is read from stdout
+ * - openai:  any OpenAI-compatible /audio/transcriptions endpoint
+ *            (faster-whisper-server, LocalAI, ... or OpenAI itself)
+ *            STT_BASE_URL, STT_MODEL, STT_API_KEY
+ */
+class SpeechToText {
+    constructor(options = {}) {
+        this.provider = options.provider || process.env.STT_PROVIDER || 'none';
+        this.command = options.command || process.env.STT_COMMAND || '';
+        this.baseURL = (options.baseURL || process.env.STT_BASE_URL || 'http://localhost:8000/v1').replace(/\/$/, '');
+        this.model = options.model || process.env.STT_MODEL || 'whisper-1';
+        this.apiKey = options.apiKey || process.env.STT_API_KEY || '';
+        this.timeoutMs = options.timeoutMs || 120000;
+    }
+
+    isEnabled() {
+        return this.provider === 'command' ? !!this.command : this.provider === 'openai';
+    }
+
+    // Returns the transcript, or null if there is none
+    async transcribe(filePath, mimetype = 'audio/ogg') {
+        if (!this.isEnabled()) return null;
+
+        try {
+            const text = this.provider === 'command'
+                ? await this.transcribeWithCommand(filePath)
+                : await this.transcribeWithAPI(filePath, mimetype);
+            return text?.trim() || null;
+        } catch (err) {
+            console.error(`❌ Speech-to-text (${this.provider}) failed:`, err.message);
+            return null;
+        }
+    }
+
+    async transcribeWithCommand(filePath) {
+        // Paths come from the media store, but quote them anyway
+        const quoted = `'${filePath.replace(/'/g, `'\\''`)}'`;
+        const { stdout } = await execFileAsync('sh', ['-c', this.command.replaceAll('{file}', quoted)], {
+            timeout: this.timeoutMs,
+            maxBuffer: 1024 * 1024
+        });
+        return stdout;
+    }
+
+    async transcribeWithAPI(filePath, mimetype) {
+        const form = new FormData();
+        form.append('file', new Blob([await fs.readFile(filePath)], { type: mimetype }), basename(filePath));
+        form.append('model', this.model);
+
+        const response = await fetch(`${this.baseURL}/audio/transcriptions`, {
+            method: 'POST',
+            headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+            body: form,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return (await response.json()).text;
+    }
+}
+
+export default SpeechToText;
@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import OrdersRepository from '../orders/repository.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+const MEDIA_DIR = join(projectRoot, 'data/media');
+
+// File extension by mime type (anything else is stored as .bin)
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'video/mp4': 'mp4',
+    'application/pdf': 'pdf'
+};
+
+/**
+ * Media Store
+ * Files customers send (photos, voice notes, ...) saved under data/media,
+ * with an index (data/media/media.json) linking each file to its session.
+ */
+class MediaStore {
+    constructor({ dataDir = MEDIA_DIR, repository = null } = {}) {
+        this.dataDir = dataDir;
+        this.index = repository || new OrdersRepository(dataDir);
+    }
+
+    extensionFor(mimetype = '') {
+        return EXTENSIONS[mimetype.split(';')[0].trim()] || 'bin';
+    }
+
+    async save(buffer, { sessionId, channel, kind, mimetype = '', caption = '' }) {
+        const id = `MED-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+        const filename = `${id}.${this.extensionFor(mimetype)}`;
+        const dir = join(this.dataDir, new Date().toISOString().split('T')[0]);
+
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(join(dir, filename), buffer);
+
+        return this.index.insert('media', {
+            id,
+            sessionId,
+            channel,
+            kind,
+            mimetype,
+            caption,
+            size: buffer.length,
+            // Relative to data/media so the folder can be moved
+            file: `${dir.substring(this.dataDir.length + 1)}/${filename}`,
+            transcript: null,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    async update(id, mutator) {
+        return this.index.update('media', id, mutator);
+    }
+
+    async get(id) {
+        return this.index.get('media', id);
+    }
+
+    pathFor(record) {
+        return join(this.dataDir, record.file);
+    }
+
+    // Media a session sent recently, newest last
+    async forSession(sessionId, { sinceHours = 24, kinds = null } = {}) {
+        const since = Date.now() - sinceHours * 60 * 60 * 1000;
+        return this.index.find('media', m =>
+            m.sessionId === sessionId &&
+            new Date(m.createdAt).getTime() >= since &&
+            (!kinds || kinds.includes(m.kind))
+        );
+    }
+}
+
+export default MediaStore;
@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+const MENU_PATH = join(projectRoot, 'data/menu/menu.json');
+
+// Asking for "vegetarian" should also surface vegan dishes
+const DIETARY_IMPLIES = {
+    vegetarian: ['vegan'],
+    'dairy-free': ['vegan']
+};
+
+/**
+ * Menu Catalogue
+ * - Categories with items, descriptions and prices
+ * - Allergens and dietary tags per item
+ * - Shared modifier groups (size, extras, ...)
+ * - Sold-out ("86'd") flag per item
+ * Stored in data/menu/menu.json; falls back to business.json services.
+ */
+class MenuCatalogue {
+    constructor() {
+        this.menu = this.emptyMenu();
+    }
+
+    emptyMenu() {
+        return { currency: 'R', categories: [], modifierGroups: [] };
+    }
+
+    async load(businessConfig = null) {
+        try {
+            const data = await fs.readFile(MENU_PATH, 'utf-8');
+            this.menu = { ...this.emptyMenu(), ...JSON.parse(data) };
+        } catch (err) {
+            this.menu = this.fromServices(businessConfig?.services || []);
+        }
+        return this.menu;
+    }
+
+    async save(menu = this.menu) {
+        this.menu = { ...this.emptyMenu(), ...menu };
+        await fs.mkdir(dirname(MENU_PATH), { recursive: true });
+        await fs.writeFile(MENU_PATH, JSON.stringify(this.menu, null, 2));
+        return this.menu;
+    }
+
+    // Build a single-category menu from legacy "Item - Price" service strings
+    fromServices(services) {
+        const menu = this.emptyMenu();
+        if (!services.length) return menu;
+
+        menu.categories.push({
+            id: 'menu',
+            name: 'Menu',
+            items: services.map(s => {
+                const parts = s.split(/[-—]/);
+                const name = parts[0]?.trim() || s;
+                const price = parseFloat((parts[1] || '').replace(/[^0-9.]/g, ''));
+                return {
+                    id: this.slugify(name),
+                    name,
+                    price: isNaN(price) ? null : price,
+                    available: true
+                };
+            })
+        });
+        return menu;
+    }
+
+    // ==================== Lookups ====================
+
+    slugify(text) {
+        return String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    normalize(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    // "main", "Mains" and "main-courses" should all find the mains category
+    matchesCategory(category, query) {
+        const q = this.normalize(query).replace(/s$/, '');
+        if (!q) return true;
+        return [category.id, category.name].some(value => {
+            const v = this.normalize(value).replace(/s$/, '');
+            return v === q || v.includes(q) || q.includes(v);
+        });
+    }
+
+    matchesDietary(item, tags) {
+        const itemTags = (item.dietary || []).map(t => t.toLowerCase());
+        return tags.every(tag => {
+            const t = tag.toLowerCase();
+            return itemTags.includes(t) || (DIETARY_IMPLIES[t] || []).some(i => itemTags.includes(i));
+        });
+    }
+
+    getModifierGroup(id) {
+        return (this.menu.modifierGroups || []).find(g => g.id === id) || null;
+    }
+
+    getAllItems() {
+        return this.menu.categories.flatMap(category =>
+            (category.items || []).map(item => ({ ...item, category: category.name, categoryId: category.id }))
+        );
+    }
+
+    getItem(id) {
+        return this.getAllItems().find(i => i.id === id) || null;
+    }
+
+    // Similarity of two names from shared character bigrams (0..1)
+    similarity(a, b) {
+        const bigrams = text => {
+            const t = this.normalize(text).replace(/ /g, '');
+            const grams = [];
+            for (let i = 0; i < t.length - 1; i++) grams.push(t.substring(i, i + 2));
+            return grams;
+        };
+        const ga = bigrams(a);
+        const gb = bigrams(b);
+        if (!ga.length || !gb.length) return 0;
+
+        let shared = 0;
+        const pool = [...gb];
+        for (const g of ga) {
+            const idx = pool.indexOf(g);
+            if (idx !== -1) {
+                shared++;
+                pool.splice(idx, 1);
+            }
+        }
+        return (2 * shared) / (ga.length + gb.length);
+    }
+
+    // Find a menu item by name or id. Only unambiguous matches count -
+    // anything else comes back as suggestions for the agent to offer.
+    findItem(name) {
+        const items = this.getAllItems();
+        const q = this.normalize(name);
+        const slug = this.slugify(name);
+        // A blank name is contained in every item name - don't let it match one
+        if (!q) return { item: null, suggestions: [] };
+
+        const exact = items.find(i => this.normalize(i.name) === q || i.id === slug);
+        if (exact) return { item: this.resolveItem(exact), suggestions: [] };
+
+        const partial = items.filter(i => {
+            const n = this.normalize(i.name);
+            return n.includes(q) || q.includes(n);
+        });
+        if (partial.length === 1) return { item: this.resolveItem(partial[0]), suggestions: [] };
+
+        const suggestions = (partial.length ? partial : items)
+            .map(i => ({ name: i.name, score: this.similarity(name, i.name) }))
+            .filter(s => partial.length || s.score >= 0.3)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3)
+            .map(s => s.name);
+
+        return { item: null, suggestions };
+    }
+
+    // Resolve shared modifier group ids into full groups for display/pricing
+    resolveItem(item) {
+        return {
+            ...item,
+            available: item.available !== false,
+            modifiers: (item.modifierGroups || [])
+                .map(id => this.getModifierGroup(id))
+                .filter(Boolean)
+        };
+    }
+
+    getMenu({ category = null, dietary = [], excludeAllergens = [], query = null, includeUnavailable = true } = {}) {
+        const dietaryTags = [].concat(dietary || []).filter(Boolean);
+        const allergens = [].concat(excludeAllergens || []).filter(Boolean).map(a => a.toLowerCase());
+        const q = this.normalize(query);
+
+        const categories = this.menu.categories.filter(c => !category || this.matchesCategory(c, category));
+
+        const items = categories.flatMap(c =>
+            (c.items || []).map(item => ({ ...item, category: c.name, categoryId: c.id }))
+        ).filter(item => {
+            if (!includeUnavailable && item.available === false) return false;
+            if (dietaryTags.length && !this.matchesDietary(item, dietaryTags)) return false;
+            if (allergens.some(a => (item.allergens || []).map(x => x.toLowerCase()).includes(a))) return false;
+            if (q && !this.normalize(`${item.name} ${item.description || ''}`).includes(q)) return false;
+            return true;
+        }).map(item => this.resolveItem(item));
+
+        return {
+            currency: this.menu.currency,
+            categories: this.menu.categories.map(c => ({ id: c.id, name: c.name, description: c.description || '' })),
+            items
+        };
+    }
+
+    // ==================== Availability ====================
+
+    // Mark an item sold out (86'd) or back on
+    async setAvailability(itemId, available) {
+        for (const category of this.menu.categories) {
+            const item = (category.items || []).find(i => i.id === itemId);
+            if (item) {
+                item.available = available;
+                await this.save();
+                return { ...item, category: category.name };
+            }
+        }
+        return null;
+    }
+}
+
+export default MenuCatalogue;
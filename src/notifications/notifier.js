@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import OrdersRepository from '../orders/repository.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+// Notification type -> config/agent.json "notifications" key and .env switch
+const NOTIFICATION_TOGGLES = {
+    new_order: { config: 'owner_on_new_order', env: 'NOTIFY_ORDERS' },
+    new_booking: { config: 'owner_on_new_booking', env: 'NOTIFY_BOOKINGS' },
+    booking_changed: { config: 'owner_on_new_booking', env: 'NOTIFY_BOOKINGS' },
+    complaint: { config: 'owner_on_complaint', env: 'NOTIFY_COMPLAINTS' },
+    complaint_sla: { config: 'owner_on_complaint', env: 'NOTIFY_COMPLAINTS' },
+    escalation: { config: 'owner_on_escalation', env: 'NOTIFY_ESCALATIONS' },
+    low_feedback: { config: 'owner_on_low_feedback', env: 'NOTIFY_LOW_FEEDBACK' },
+    daily_summary: { config: 'owner_daily_summary', env: 'NOTIFY_DAILY_SUMMARY' }
+};
+
+/**
+ * Owner Notifier
+ * - Persisted outbox (data/notifications/outbox.json) so alerts survive restarts
+ * - Delivers through every registered channel that implements sendToOwner()
+ * - Retries with exponential backoff, gives up after maxAttempts
+ * - Per-type toggles from config/agent.json "notifications"
+ */
+class OwnerNotifier {
+    constructor(gateway, options = {}) {
+        this.gateway = gateway;
+        this.outbox = options.repository || new OrdersRepository(join(projectRoot, 'data/notifications'));
+        this.maxAttempts = options.maxAttempts || 6;
+        this.retryDelayMs = options.retryDelayMs || 15000;
+        this.pollIntervalMs = options.pollIntervalMs || 15000;
+        this.toggles = {};
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    async initialize() {
+        await this.loadConfig();
+
+        const pending = await this.outbox.find('outbox', n => n.status === 'pending');
+        if (pending.length) {
+            console.log(`📨 Notifier: ${pending.length} notification(s) waiting in outbox`);
+        }
+
+        this.timer = setInterval(() => {
+            this.flush().catch(err => console.error('❌ Notifier flush error:', err.message));
+        }, this.pollIntervalMs);
+        this.timer.unref?.();
+    }
+
+    async loadConfig() {
+        try {
+            const data = await fs.readFile(join(projectRoot, 'config/agent.json'), 'utf-8');
+            this.toggles = JSON.parse(data).notifications || {};
+        } catch (err) {
+            this.toggles = {};
+        }
+    }
+
+    // Both the agent.json toggle and the .env switch can turn a type off
+    isEnabled(type) {
+        const toggle = NOTIFICATION_TOGGLES[type];
+        if (!toggle) return true;
+        return this.toggles[toggle.config] !== false && process.env[toggle.env] !== 'false';
+    }
+
+    async notify(type, message) {
+        if (!this.isEnabled(type)) return null;
+
+        const notification = await this.outbox.insert('outbox', {
+            id: `NTF-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            type,
+            message,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            createdAt: new Date().toISOString()
+        });
+
+        this.gateway?.broadcast({ type: 'notification:owner', notificationType: type, message, timestamp: Date.now() });
+
+        // Don't hold up the caller (usually a tool call) on delivery
+        this.flush().catch(err => console.error('❌ Notifier flush error:', err.message));
+        return notification;
+    }
+
+    // Send through every channel that can reach the owner; true if any did
+    async deliver(message) {
+        let delivered = false;
+
+        for (const [name, channel] of this.gateway?.channels || []) {
+            if (typeof channel.sendToOwner !== 'function') continue;
+            try {
+                if (await channel.sendToOwner(message)) delivered = true;
+            } catch (err) {
+                console.error(`❌ Notifier: ${name} failed:`, err.message);
+            }
+        }
+
+        return delivered;
+    }
+
+    async flush() {
+        // One flush at a time; callers share the running one
+        if (this.flushing) return this.flushing;
+
+        this.flushing = (async () => {
+            const due = await this.outbox.find('outbox', n => n.status === 'pending' && n.nextAttemptAt <= Date.now());
+
+            for (const notification of due) {
+                const sent = await this.deliver(notification.message);
+
+                await this.outbox.update('outbox', notification.id, (n) => {
+                    n.attempts += 1;
+                    n.lastAttemptAt = new Date().toISOString();
+
+                    if (sent) {
+                        n.status = 'sent';
+                        n.sentAt = n.lastAttemptAt;
+                    } else if (n.attempts >= this.maxAttempts) {
+                        n.status = 'failed';
+                        console.error(`❌ Notifier: giving up on ${n.type} notification ${n.id}`);
+                    } else {
+                        n.nextAttemptAt = Date.now() + this.retryDelayMs * 2 ** (n.attempts - 1);
+                    }
+                });
+            }
+
+            await this.prune();
+        })();
+
+        try {
+            await this.flushing;
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    // Drop delivered notifications after a week
+    async prune() {
+        const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        const old = await this.outbox.find('outbox', n => n.status === 'sent' && new Date(n.sentAt).getTime() < cutoff);
+        if (!old.length) return;
+
+        await this.outbox.transaction('outbox', (tx) => {
+            for (const n of old) tx.remove(n.id);
+        });
+    }
+
+    getOutbox(limit = 50) {
+        return this.outbox.cached('outbox').slice(-limit).reverse();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+    }
+}
+
+export default OwnerNotifier;
@@ -0,0 +1,302 @@
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Used when business.json has no "reservations" section yet
+const DEFAULT_RESERVATIONS = {
+    slotIntervalMinutes: 15,
+    lastSeatingMinutes: 60,
+    turnTimes: { '2': 90, '4': 120, '6': 150, 'default': 180 },
+    sections: [
+        {
+            name: 'Main',
+            tables: [
+                { id: 'T1', seats: 2, joinable: true },
+                { id: 'T2', seats: 2, joinable: true },
+                { id: 'T3', seats: 4, joinable: true },
+                { id: 'T4', seats: 4, joinable: true },
+                { id: 'T5', seats: 4 },
+                { id: 'T6', seats: 6 }
+            ]
+        }
+    ]
+};
+
+/**
+ * Table Availability Engine
+ * - Tables grouped into sections with seat counts
+ * - Turn times per party size
+ * - Opening hours parsed from business.json
+ * - Occupancy checked against existing bookings
+ */
+class AvailabilityEngine {
+    constructor() {
+        this.settings = DEFAULT_RESERVATIONS;
+        this.hours = null;
+        this.bookings = [];
+    }
+
+    // Load table layout, hours and the bookings to check against
+    load(businessConfig = {}, bookings = []) {
+        this.settings = { ...DEFAULT_RESERVATIONS, ...(businessConfig?.reservations || {}) };
+        this.hours = this.parseHours(businessConfig?.hours);
+        this.bookings = bookings;
+    }
+
+    // ==================== Opening Hours ====================
+
+    // Parse strings like "Mon-Fri: 08:00-17:00, Sat: 09:00-14:00, Sun: Closed"
+    // into { 0: [{ open, close }], ... } with minutes since midnight.
+    // Returns null when the string can't be understood (hours not enforced).
+    parseHours(hoursText) {
+        if (!hoursText || typeof hoursText !== 'string') return null;
+
+        const dayPattern = /\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?(?:\s*(?:-|–|to)\s*(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?)?\s*:/gi;
+        const specs = [...hoursText.matchAll(dayPattern)];
+        if (specs.length === 0) return null;
+
+        const schedule = {};
+        for (let i = 0; i < specs.length; i++) {
+            const spec = specs[i];
+            const start = DAYS.indexOf(spec[1].toLowerCase());
+            const end = spec[2] ? DAYS.indexOf(spec[2].toLowerCase()) : start;
+            const text = hoursText.substring(spec.index + spec[0].length, specs[i + 1]?.index ?? hoursText.length);
+
+            const ranges = [];
+            for (const m of text.matchAll(/(\d{1,2})[:h.](\d{2})\s*(?:-|–|to)\s*(\d{1,2})[:h.](\d{2})/gi)) {
+                const open = parseInt(m[1]) * 60 + parseInt(m[2]);
+                let close = parseInt(m[3]) * 60 + parseInt(m[4]);
+                // Closing at or after midnight
+                if (close <= open) close += 24 * 60;
+                ranges.push({ open, close });
+            }
+
+            // Walk the day range, wrapping e.g. "Fri-Mon"
+            let day = start;
+            while (true) {
+                schedule[day] = ranges;
+                if (day === end) break;
+                day = (day + 1) % 7;
+            }
+        }
+
+        return schedule;
+    }
+
+    getOpeningRanges(date) {
+        if (!this.hours) return null;
+        const day = new Date(`${date}T00:00:00`).getDay();
+        return this.hours[day] || [];
+    }
+
+    // ==================== Helpers ====================
+
+    toMinutes(time) {
+        const match = String(time || '').match(/^(\d{1,2}):(\d{2})/);
+        if (!match) return null;
+        return parseInt(match[1]) * 60 + parseInt(match[2]);
+    }
+
+    toTime(minutes) {
+        const m = ((minutes % (24 * 60)) + 24 * 60) % (24 * 60);
+        return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    }
+
+    addDays(date, days) {
+        const d = new Date(`${date}T00:00:00`);
+        d.setDate(d.getDate() + days);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    // How long a party of this size keeps a table
+    getTurnTime(guests) {
+        const turnTimes = this.settings.turnTimes || {};
+        const sizes = Object.keys(turnTimes)
+            .filter(k => k !== 'default')
+            .map(Number)
+            .sort((a, b) => a - b);
+
+        const size = sizes.find(s => guests <= s);
+        return turnTimes[size] || turnTimes.default || 120;
+    }
+
+    getAllTables() {
+        return (this.settings.sections || []).flatMap(section =>
+            (section.tables || []).map(t => ({ ...t, section: section.name }))
+        );
+    }
+
+    getMaxPartySize() {
+        let max = 0;
+        for (const section of this.settings.sections || []) {
+            const tables = section.tables || [];
+            const joined = tables.filter(t => t.joinable).reduce((sum, t) => sum + t.seats, 0);
+            const single = Math.max(0, ...tables.map(t => t.seats));
+            max = Math.max(max, joined, single);
+        }
+        return max;
+    }
+
+    // Seating is allowed from opening until lastSeatingMinutes before close.
+    // Just after midnight can still be the previous day's late opening.
+    isOpenAt(date, start) {
+        const ranges = this.getOpeningRanges(date);
+        if (ranges === null) return true;
+
+        const lastSeating = this.settings.lastSeatingMinutes || 0;
+        const inRanges = (list, minutes) => list.some(r => minutes >= r.open && minutes <= r.close - lastSeating);
+        return inRanges(ranges, start) || inRanges(this.getOpeningRanges(this.addDays(date, -1)), start + 24 * 60);
+    }
+
+    // ==================== Occupancy ====================
+
+    // Work out which tables are taken at a given time on a date.
+    // Bookings that already carry tableIds keep them; older bookings
+    // without an assignment are seated greedily in creation order.
+    // Times are minutes from midnight on `date`, so a late booking the day
+    // before (23:00 + 120 min) still blocks 00:30, and the other way round.
+    getOccupiedTables(date, start, duration, excludeBookingId = null) {
+        const end = start + duration;
+        const occupied = new Set();
+        const dayOffsets = new Map([
+            [this.addDays(date, -1), -24 * 60],
+            [date, 0],
+            [this.addDays(date, 1), 24 * 60]
+        ]);
+
+        const active = this.bookings.filter(b =>
+            dayOffsets.has(b.date) &&
+            b.id !== excludeBookingId &&
+            !['cancelled', 'no_show', 'completed'].includes(b.status)
+        );
+
+        const unassigned = [];
+        for (const booking of active) {
+            const time = this.toMinutes(booking.time);
+            if (time === null) continue;
+            const bStart = time + dayOffsets.get(booking.date);
+            const bEnd = bStart + (booking.durationMinutes || this.getTurnTime(booking.guests));
+            if (bStart >= end || bEnd <= start) continue;
+
+            if (booking.tableIds?.length) {
+                booking.tableIds.forEach(id => occupied.add(id));
+            } else {
+                unassigned.push(booking);
+            }
+        }
+
+        for (const booking of unassigned) {
+            const seating = this.findSeating(booking.guests, occupied);
+            if (seating) seating.tableIds.forEach(id => occupied.add(id));
+        }
+
+        return occupied;
+    }
+
+    // Pick the smallest free table that fits, otherwise join free
+    // joinable tables within a single section
+    findSeating(guests, occupied) {
+        const free = this.getAllTables().filter(t => !occupied.has(t.id));
+
+        const single = free
+            .filter(t => t.seats >= guests)
+            .sort((a, b) => a.seats - b.seats)[0];
+        if (single) {
+            return { tableIds: [single.id], section: single.section, seats: single.seats };
+        }
+
+        for (const section of this.settings.sections || []) {
+            const joinable = free
+                .filter(t => t.section === section.name && t.joinable)
+                .sort((a, b) => b.seats - a.seats);
+
+            const picked = [];
+            let seats = 0;
+            for (const table of joinable) {
+                if (seats >= guests) break;
+                picked.push(table);
+                seats += table.seats;
+            }
+            if (seats >= guests) {
+                return { tableIds: picked.map(t => t.id), section: section.name, seats };
+            }
+        }
+
+        return null;
+    }
+
+    // ==================== Public API ====================
+
+    checkSlot(date, time, guests, { excludeBookingId = null } = {}) {
+        const start = this.toMinutes(time);
+        const duration = this.getTurnTime(guests);
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || start === null) {
+            return { available: false, reason: 'invalid_datetime' };
+        }
+        if (new Date(`${date}T${this.toTime(start)}:00`).getTime() < Date.now()) {
+            return { available: false, reason: 'in_past' };
+        }
+        if (guests > this.getMaxPartySize()) {
+            return { available: false, reason: 'party_too_large' };
+        }
+        if (!this.isOpenAt(date, start)) {
+            return { available: false, reason: 'closed' };
+        }
+
+        const occupied = this.getOccupiedTables(date, start, duration, excludeBookingId);
+        const seating = this.findSeating(guests, occupied);
+        if (!seating) {
+            return { available: false, reason: 'fully_booked' };
+        }
+
+        return { available: true, durationMinutes: duration, ...seating };
+    }
+
+    // Nearest free times on the same day, then the same time on following days
+    findAlternatives(date, time, guests, { limit = 3, excludeBookingId = null } = {}) {
+        const requested = this.toMinutes(time);
+        const interval = this.settings.slotIntervalMinutes || 15;
+        const alternatives = [];
+
+        const ranges = this.getOpeningRanges(date) ?? [{ open: 0, close: 24 * 60 }];
+        const candidates = [];
+        for (const r of ranges) {
+            for (let t = r.open; t < r.close; t += interval) {
+                if (t !== requested) candidates.push(t);
+            }
+        }
+        candidates.sort((a, b) => Math.abs(a - requested) - Math.abs(b - requested) || a - b);
+
+        for (const t of candidates) {
+            if (alternatives.length >= limit) break;
+            const slotTime = this.toTime(t);
+            if (this.checkSlot(date, slotTime, guests, { excludeBookingId }).available) {
+                alternatives.push({ date, time: slotTime });
+            }
+        }
+
+        for (let d = 1; d <= 7 && alternatives.length < limit; d++) {
+            const nextDate = this.addDays(date, d);
+            if (this.checkSlot(nextDate, time, guests, { excludeBookingId }).available) {
+                alternatives.push({ date: nextDate, time });
+            }
+        }
+
+        return alternatives.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+    }
+
+    check(date, time, guests, options = {}) {
+        const slot = this.checkSlot(date, time, guests, options);
+        if (slot.available) {
+            return { ...slot, alternatives: [] };
+        }
+
+        const alternatives = slot.reason === 'invalid_datetime' || slot.reason === 'party_too_large'
+            ? []
+            : this.findAlternatives(date, time, guests, options);
+
+        return { ...slot, alternatives };
+    }
+}
+
+export { DEFAULT_RESERVATIONS };
+export default AvailabilityEngine;
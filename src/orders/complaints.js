@@ -0,0 +1,254 @@
+// Used when business.json has no "complaints" section yet
+const DEFAULT_COMPLAINTS = {
+    // Minutes from logging to resolution, by urgency
+    slaMinutes: { high: 120, medium: 1440, low: 4320 },
+    // Hours after resolving before we ask the customer if it's sorted
+    followUpHours: 24,
+    staff: []
+};
+
+// Allowed complaint status transitions
+const COMPLAINT_TRANSITIONS = {
+    open: ['in_progress', 'resolved'],
+    in_progress: ['resolved'],
+    resolved: ['in_progress', 'closed'],
+    closed: ['in_progress']
+};
+
+const RESOLUTION_TYPES = ['refund', 'voucher', 'apology'];
+
+// A follow-up that can't be delivered is tried again after 30 min, 1h, 2h, ... then left to staff
+const FOLLOW_UP_MAX_ATTEMPTS = 5;
+const FOLLOW_UP_RETRY_MINUTES = 30;
+
+// How each resolution is described to the customer in the follow-up
+const RESOLUTION_MESSAGES = {
+    refund: (c) => `we've processed a refund${c.resolution.amount ? ` of R${c.resolution.amount}` : ''}`,
+    voucher: (c) => `we've sent you a voucher${c.resolution.amount ? ` worth R${c.resolution.amount}` : ''}`,
+    apology: () => `we've shared your experience with the team`
+};
+
+/**
+ * Complaint Cases
+ * - Assignment to a staff member, internal notes, status history
+ * - Resolution type (refund, voucher, apology)
+ * - SLA deadline by urgency; the owner is alerted once when it's missed
+ * - Follow-up message to the customer some hours after resolving
+ */
+class ComplaintCases {
+    constructor(ordersManager, options = {}) {
+        this.ordersManager = ordersManager;
+        this.repository = ordersManager.repository;
+        this.pollIntervalMs = options.pollIntervalMs || 60000;
+        this.settings = { ...DEFAULT_COMPLAINTS };
+        this.timer = null;
+    }
+
+    async initialize() {
+        const businessConfig = await this.ordersManager.loadBusinessConfig();
+        const custom = businessConfig.complaints || {};
+        this.settings = {
+            ...DEFAULT_COMPLAINTS,
+            ...custom,
+            slaMinutes: { ...DEFAULT_COMPLAINTS.slaMinutes, ...(custom.slaMinutes || {}) }
+        };
+
+        this.timer = setInterval(() => {
+            this.checkTimers().catch(err => console.error('❌ Complaint timers error:', err.message));
+        }, this.pollIntervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+    }
+
+    // ==================== Reading ====================
+
+    // SLA is worked out from createdAt so changed targets apply to open cases too
+    withSla(complaint) {
+        const minutes = this.settings.slaMinutes[complaint.urgency] || this.settings.slaMinutes.medium;
+        const dueAt = new Date(new Date(complaint.createdAt).getTime() + minutes * 60000);
+        const doneAt = complaint.resolution?.resolvedAt ? new Date(complaint.resolution.resolvedAt) : null;
+
+        return {
+            ...complaint,
+            assignee: complaint.assignee || null,
+            notes: complaint.notes || [],
+            nextStatuses: COMPLAINT_TRANSITIONS[complaint.status] || [],
+            sla: {
+                minutes,
+                dueAt: dueAt.toISOString(),
+                remainingMinutes: doneAt ? null : Math.round((dueAt - Date.now()) / 60000),
+                breached: (doneAt || new Date()) > dueAt
+            }
+        };
+    }
+
+    async list({ status = null } = {}) {
+        const complaints = await this.repository.find('complaints', c =>
+            !status || status.split(',').includes(c.status)
+        );
+        return complaints.map(c => this.withSla(c)).reverse();
+    }
+
+    async get(complaintId) {
+        const complaint = await this.repository.get('complaints', complaintId);
+        return complaint ? this.withSla(complaint) : null;
+    }
+
+    getStaff() {
+        return this.settings.staff || [];
+    }
+
+    // ==================== Case handling ====================
+
+    // Apply fn to the complaint under the repository lock; fn returns an error code to abort
+    async change(complaintId, fn) {
+        let error = null;
+        const complaint = await this.repository.update('complaints', complaintId, (draft) => {
+            error = fn(draft) || null;
+            if (error) return false;
+            draft.updatedAt = new Date().toISOString();
+        });
+
+        if (!complaint) return { success: false, error: 'not_found' };
+        if (error) return { success: false, error };
+        return { success: true, complaint: this.withSla(complaint) };
+    }
+
+    moveTo(draft, status, note = '') {
+        const current = draft.status || 'open';
+        if (!(COMPLAINT_TRANSITIONS[current] || []).includes(status)) {
+            return `cannot_move_from_${current}_to_${status}`;
+        }
+        this.ordersManager.recordStatus(draft, status, note);
+        return null;
+    }
+
+    async assign(complaintId, assignee, { by = 'dashboard' } = {}) {
+        if (!assignee) return { success: false, error: 'assignee_required' };
+
+        return this.change(complaintId, (draft) => {
+            if (draft.status === 'open') {
+                const error = this.moveTo(draft, 'in_progress', `Assigned to ${assignee}`);
+                if (error) return error;
+            }
+            draft.assignee = assignee;
+            draft.notes = draft.notes || [];
+            draft.notes.push({ text: `Assigned to ${assignee}`, author: by, system: true, at: new Date().toISOString() });
+        });
+    }
+
+    async addNote(complaintId, text, { author = 'dashboard' } = {}) {
+        if (!text) return { success: false, error: 'note_required' };
+
+        return this.change(complaintId, (draft) => {
+            draft.notes = draft.notes || [];
+            draft.notes.push({ text, author, at: new Date().toISOString() });
+        });
+    }
+
+    async resolve(complaintId, { type, amount = null, note = '', by = 'dashboard', followUp = true } = {}) {
+        if (!RESOLUTION_TYPES.includes(type)) {
+            return { success: false, error: 'invalid_resolution_type' };
+        }
+
+        return this.change(complaintId, (draft) => {
+            const error = this.moveTo(draft, 'resolved', note || `Resolved with ${type}`);
+            if (error) return error;
+
+            draft.resolution = {
+                type,
+                amount: amount !== null && amount !== '' ? Number(amount) : null,
+                note,
+                resolvedBy: by,
+                resolvedAt: new Date().toISOString()
+            };
+            draft.followUp = followUp
+                ? { dueAt: new Date(Date.now() + this.settings.followUpHours * 60 * 60 * 1000).toISOString(), sentAt: null }
+                : null;
+        });
+    }
+
+    async reopen(complaintId, { note = '' } = {}) {
+        return this.change(complaintId, (draft) => {
+            const error = this.moveTo(draft, 'in_progress', note || 'Reopened');
+            if (error) return error;
+            draft.resolution = null;
+            draft.followUp = null;
+            draft.slaBreachNotifiedAt = null;
+        });
+    }
+
+    async close(complaintId, { note = '' } = {}) {
+        return this.change(complaintId, draft => this.moveTo(draft, 'closed', note));
+    }
+
+    // ==================== Timers ====================
+
+    followUpMessage(complaint) {
+        const name = complaint.customerName ? ` ${complaint.customerName}` : '';
+        const action = RESOLUTION_MESSAGES[complaint.resolution?.type]?.(complaint) || `we've looked into it`;
+        return `Hi${name}, we're following up on the issue you raised with us (#${complaint.id}) - ${action}. ` +
+            `Has this been resolved to your satisfaction? Just reply here and let us know.`;
+    }
+
+    async sendFollowUp(complaintId) {
+        const complaint = await this.repository.get('complaints', complaintId);
+        if (!complaint) return { success: false, error: 'not_found' };
+        if (!complaint.followUp || complaint.followUp.sentAt) {
+            return { success: false, error: 'no_pending_follow_up', message: 'No pending follow-up' };
+        }
+
+        const delivered = await this.ordersManager.notifyCustomer(complaint, this.followUpMessage(complaint));
+
+        if (!delivered) {
+            await this.change(complaintId, (draft) => {
+                const attempts = (draft.followUp.attempts || 0) + 1;
+                draft.followUp.attempts = attempts;
+                draft.followUp.lastAttemptAt = new Date().toISOString();
+
+                if (attempts >= FOLLOW_UP_MAX_ATTEMPTS) {
+                    draft.followUp.failedAt = draft.followUp.lastAttemptAt;
+                    draft.notes = draft.notes || [];
+                    draft.notes.push({ text: 'Follow-up could not be delivered - please contact the customer', author: 'system', system: true, at: draft.followUp.failedAt });
+                } else {
+                    draft.followUp.dueAt = new Date(Date.now() + FOLLOW_UP_RETRY_MINUTES * 60 * 1000 * 2 ** (attempts - 1)).toISOString();
+                }
+            });
+            return { success: false, error: 'not_delivered', message: 'The follow-up could not be delivered to the customer' };
+        }
+
+        return this.change(complaintId, (draft) => {
+            draft.followUp.sentAt = new Date().toISOString();
+            draft.notes = draft.notes || [];
+            draft.notes.push({ text: 'Follow-up sent to customer', author: 'system', system: true, at: draft.followUp.sentAt });
+        });
+    }
+
+    // Missed SLAs alert the owner once; due follow-ups go out to the customer
+    async checkTimers() {
+        const complaints = (await this.repository.all('complaints')).map(c => this.withSla(c));
+        const now = new Date().toISOString();
+
+        for (const complaint of complaints) {
+            const unresolved = ['open', 'in_progress'].includes(complaint.status);
+
+            if (unresolved && complaint.sla.breached && !complaint.slaBreachNotifiedAt) {
+                await this.ordersManager.notifyOwner('complaint_sla', complaint);
+                await this.change(complaint.id, (draft) => {
+                    draft.slaBreachNotifiedAt = now;
+                });
+            }
+
+            const followUp = complaint.followUp;
+            if (complaint.status === 'resolved' && followUp && !followUp.sentAt && !followUp.failedAt && followUp.dueAt <= now) {
+                await this.sendFollowUp(complaint.id);
+            }
+        }
+    }
+}
+
+export { COMPLAINT_TRANSITIONS, RESOLUTION_TYPES, DEFAULT_COMPLAINTS };
+export default ComplaintCases;
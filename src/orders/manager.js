@@ -1,78 +1,497 @@
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import AvailabilityEngine from './availability.js';
+import OrdersRepository from './repository.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, '../..');
 
+// Allowed order status transitions
+const ORDER_TRANSITIONS = {
+    pending: ['accepted', 'rejected', 'cancelled'],
+    accepted: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['out_for_delivery', 'completed'],
+    out_for_delivery: ['completed'],
+    completed: [],
+    rejected: [],
+    cancelled: []
+};
+
+// What the customer is told when their order reaches a status
+const ORDER_STATUS_MESSAGES = {
+    accepted: (o) => `✅ Your order #${o.id} has been accepted! We'll let you know when it's being prepared.`,
+    preparing: (o) => `👨‍🍳 Your order #${o.id} is being prepared.`,
+    ready: (o) => o.delivery
+        ? `📦 Your order #${o.id} is ready and will be on its way shortly.`
+        : `🔔 Your order #${o.id} is ready for pickup!`,
+    out_for_delivery: (o) => `🚚 Your order #${o.id} is out for delivery to ${o.address || 'your address'}.`,
+    completed: (o) => `🙏 Thank you! Order #${o.id} is complete. Enjoy your meal!`,
+    rejected: (o, note) => `😔 Sorry, we can't take order #${o.id} right now${note ? `: ${note}` : '.'}`,
+    cancelled: (o, note) => `Your order #${o.id} has been cancelled${note ? `: ${note}` : '.'}`
+};
+
+// Ratings at or below this raise a low-score alert
+const LOW_RATING = 2;
+
 class OrdersManager {
-    constructor(gateway) {
+    constructor(gateway, { repository = new OrdersRepository(), notifier = null } = {}) {
         this.gateway = gateway;
-        this.orders = [];
-        this.bookings = [];
-        this.complaints = [];
+        this.repository = repository;
+        this.notifier = notifier;
+        this.availability = new AvailabilityEngine();
+
+        // Let the dashboard follow every write, whoever made it
+        this.repository.on('change', ({ collection, action, record }) => {
+            this.gateway?.broadcast({
+                type: 'data:change',
+                collection,
+                action,
+                id: record.id,
+                status: record.status,
+                timestamp: Date.now()
+            });
+        });
+    }
+
+    // Latest known records (kept current by the repository)
+    get orders() {
+        return this.repository.cached('orders');
+    }
+
+    get bookings() {
+        return this.repository.cached('bookings');
+    }
+
+    get complaints() {
+        return this.repository.cached('complaints');
+    }
+
+    get feedback() {
+        return this.repository.cached('feedback');
     }
 
     async initialize() {
         console.log('📦 Initializing Orders Manager...');
         await this.loadOrders();
+        console.log(`✅ Loaded ${this.orders.length} orders, ${this.bookings.length} bookings`);
     }
 
+    // Refresh caches (also picks up files edited by hand)
     async loadOrders() {
+        await Promise.all([
+            this.repository.read('orders'),
+            this.repository.read('bookings'),
+            this.repository.read('complaints'),
+            this.repository.read('feedback')
+        ]);
+    }
+
+    async loadBusinessConfig() {
         try {
-            const ordersPath = join(projectRoot, 'data/orders/orders.json');
-            const data = await fs.readFile(ordersPath, 'utf-8');
-            this.orders = JSON.parse(data);
+            const data = await fs.readFile(join(projectRoot, 'config/business.json'), 'utf-8');
+            return JSON.parse(data);
         } catch (err) {
-            this.orders = [];
+            return {};
         }
+    }
 
-        try {
-            const bookingsPath = join(projectRoot, 'data/orders/bookings.json');
-            const data = await fs.readFile(bookingsPath, 'utf-8');
-            this.bookings = JSON.parse(data);
-        } catch (err) {
-            this.bookings = [];
+    recordStatus(record, status, note = '') {
+        record.statusHistory = record.statusHistory || [];
+        record.statusHistory.push({ status, note, at: new Date().toISOString() });
+        record.status = status;
+        record.updatedAt = new Date().toISOString();
+    }
+
+    // ==================== Bookings ====================
+
+    // Compare on the last 9 digits so +27821234567 and 0821234567 match
+    phoneMatches(a, b) {
+        const digitsA = String(a || '').replace(/\D/g, '').slice(-9);
+        const digitsB = String(b || '').replace(/\D/g, '').slice(-9);
+        return digitsA.length > 0 && digitsA === digitsB;
+    }
+
+    async checkAvailability(date, time, guests, options = {}) {
+        const bookings = await this.repository.all('bookings');
+        this.availability.load(await this.loadBusinessConfig(), bookings);
+        return this.availability.check(date, time, guests, options);
+    }
+
+    // Availability is checked inside the bookings lock so two guests
+    // can't both be given the last table
+    async createBooking(details, businessConfig = null) {
+        const config = businessConfig || await this.loadBusinessConfig();
+
+        const result = await this.repository.transaction('bookings', async (tx) => {
+            this.availability.load(config, tx.records);
+            const slot = this.availability.check(details.date, details.time, details.guests);
+
+            if (!slot.available) {
+                return { success: false, error: slot.reason, alternatives: slot.alternatives, guests: details.guests };
+            }
+
+            const booking = tx.insert({
+                id: `BK-${Date.now()}`,
+                ...details,
+                tableIds: slot.tableIds,
+                section: slot.section,
+                durationMinutes: slot.durationMinutes,
+                status: 'confirmed',
+                statusHistory: [{ status: 'confirmed', note: 'Booked via chat', at: new Date().toISOString() }],
+                createdAt: new Date().toISOString()
+            });
+
+            return { success: true, booking };
+        });
+
+        if (result.success) {
+            await this.notifyOwner('new_booking', result.booking);
         }
+        return result;
+    }
 
-        try {
-            const complaintsPath = join(projectRoot, 'data/orders/complaints.json');
-            const data = await fs.readFile(complaintsPath, 'utf-8');
-            this.complaints = JSON.parse(data);
-        } catch (err) {
-            this.complaints = [];
+    async findBookings({ bookingId = null, phone = null, includePast = false } = {}) {
+        if (!bookingId && !phone) return [];
+
+        const today = new Date().toISOString().split('T')[0];
+        const bookings = await this.repository.find('bookings', b => {
+            if (bookingId && b.id.toUpperCase() !== bookingId.toUpperCase()) return false;
+            if (phone && !this.phoneMatches(b.phone, phone)) return false;
+            if (!includePast && !bookingId && b.date < today) return false;
+            return true;
+        });
+
+        return bookings.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+    }
+
+    // Only the phone the booking was made with can change or cancel it - no phone, no change
+    async modifyBooking(bookingId, changes = {}, { phone = null } = {}) {
+        const [existing] = await this.findBookings({ bookingId });
+        if (!existing) {
+            return { success: false, error: 'not_found' };
         }
 
-        console.log(`✅ Loaded ${this.orders.length} orders, ${this.bookings.length} bookings`);
+        const config = await this.loadBusinessConfig();
+
+        const outcome = await this.repository.transaction('bookings', async (tx) => {
+            let result = null;
+
+            tx.update(existing.id, (booking) => {
+                if (!this.phoneMatches(booking.phone, phone)) {
+                    result = { success: false, error: 'phone_mismatch' };
+                    return false;
+                }
+                if (['cancelled', 'completed', 'no_show'].includes(booking.status)) {
+                    result = { success: false, error: `booking_${booking.status}` };
+                    return false;
+                }
+
+                const updated = {
+                    date: changes.date || booking.date,
+                    time: changes.time || booking.time,
+                    guests: changes.guests || booking.guests
+                };
+
+                // Only re-seat when the slot or party size actually changes
+                const slotChanged = updated.date !== booking.date ||
+                    updated.time !== booking.time ||
+                    updated.guests !== booking.guests;
+
+                if (slotChanged) {
+                    this.availability.load(config, tx.records);
+                    const slot = this.availability.check(updated.date, updated.time, updated.guests, { excludeBookingId: booking.id });
+
+                    if (!slot.available) {
+                        result = { success: false, error: slot.reason, alternatives: slot.alternatives, guests: updated.guests };
+                        return false;
+                    }
+
+                    booking.tableIds = slot.tableIds;
+                    booking.section = slot.section;
+                    booking.durationMinutes = slot.durationMinutes;
+                }
+
+                const summary = Object.keys(updated)
+                    .filter(key => updated[key] !== booking[key])
+                    .map(key => `${key}: ${booking[key]} → ${updated[key]}`);
+
+                if (changes.notes !== undefined && changes.notes !== booking.notes) {
+                    summary.push('notes updated');
+                    booking.notes = changes.notes;
+                }
+
+                Object.assign(booking, updated);
+                this.recordStatus(booking, booking.status, summary.length ? `Modified (${summary.join(', ')})` : 'No changes');
+                result = { success: true, booking, changes: summary };
+            });
+
+            return result || { success: false, error: 'not_found' };
+        });
+
+        if (outcome.success && outcome.changes.length) {
+            await this.notifyOwner('booking_changed', { ...outcome.booking, change: outcome.changes.join(', ') });
+        }
+        return outcome;
+    }
+
+    async cancelBooking(bookingId, { phone = null, reason = '' } = {}) {
+        const [existing] = await this.findBookings({ bookingId });
+        if (!existing) {
+            return { success: false, error: 'not_found' };
+        }
+
+        let result = null;
+        await this.repository.update('bookings', existing.id, (booking) => {
+            if (!this.phoneMatches(booking.phone, phone)) {
+                result = { success: false, error: 'phone_mismatch' };
+                return false;
+            }
+            if (booking.status === 'cancelled') {
+                result = { success: true, booking, alreadyCancelled: true };
+                return false;
+            }
+
+            this.recordStatus(booking, 'cancelled', reason || 'Cancelled by customer');
+            result = { success: true, booking };
+        });
+
+        if (result?.success && !result.alreadyCancelled) {
+            await this.notifyOwner('booking_changed', { ...result.booking, change: 'cancelled' });
+        }
+        return result || { success: false, error: 'not_found' };
+    }
+
+    // ==================== Orders ====================
+
+    async addOrder(order) {
+        const saved = await this.repository.insert('orders', order);
+        await this.notifyOwner('new_order', saved);
+        return saved;
+    }
+
+    getNextStatuses(order) {
+        const next = ORDER_TRANSITIONS[order.status || 'pending'] || [];
+        // Pickup orders skip the delivery step
+        return order.delivery ? next : next.filter(s => s !== 'out_for_delivery');
+    }
+
+    async getOrder(orderId) {
+        return this.repository.get('orders', orderId);
+    }
+
+    async updateOrderStatus(orderId, status, { note = '', notifyCustomer = true } = {}) {
+        if (!ORDER_TRANSITIONS[status]) {
+            return { success: false, error: 'invalid_status' };
+        }
+
+        let error = null;
+        const order = await this.repository.update('orders', orderId, (draft) => {
+            if (!this.getNextStatuses(draft).includes(status)) {
+                error = `cannot_move_from_${draft.status}_to_${status}`;
+                return false;
+            }
+            this.recordStatus(draft, status, note);
+        });
+
+        if (!order) {
+            return { success: false, error: 'not_found' };
+        }
+        if (error) {
+            return { success: false, error };
+        }
+
+        this.gateway?.broadcast({
+            type: 'order:status',
+            orderId: order.id,
+            status,
+            timestamp: Date.now()
+        });
+
+        if (notifyCustomer) {
+            await this.notifyCustomer(order, ORDER_STATUS_MESSAGES[status]?.(order, note));
+        }
+
+        return { success: true, order };
+    }
+
+    // ==================== Kitchen ====================
+
+    // Open unless staff closed it (e.g. "/close kitchen" over WhatsApp)
+    async getKitchenStatus() {
+        const kitchen = await this.repository.get('settings', 'kitchen');
+        return kitchen || { id: 'kitchen', open: true, reason: '', updatedAt: null };
+    }
+
+    async setKitchenStatus(open, { reason = '', by = 'dashboard' } = {}) {
+        return this.repository.transaction('settings', (tx) => {
+            const kitchen = { id: 'kitchen', open, reason, by, updatedAt: new Date().toISOString() };
+            return tx.update('kitchen', (draft) => Object.assign(draft, kitchen)) || tx.insert(kitchen);
+        });
+    }
+
+    // ==================== Complaints ====================
+
+    async addComplaint(complaint) {
+        const saved = await this.repository.insert('complaints', complaint);
+        // High urgency complaints reach the owner as an escalation instead
+        if (saved.urgency !== 'high') {
+            await this.notifyOwner('complaint', saved);
+        }
+        return saved;
+    }
+
+    // ==================== Escalations ====================
+
+    async addEscalation(escalation) {
+        const saved = await this.repository.insert('escalations', escalation);
+        await this.notifyOwner('escalation', saved);
+        return saved;
+    }
+
+    // ==================== Feedback ====================
+
+    // Attach the customer's most recent order / booking when the agent didn't name one
+    async linkFeedback(feedback) {
+        const { customerPhone, sessionId } = feedback;
+        const recent = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        const belongsToCustomer = (record, phone) =>
+            (sessionId && record.sessionId === sessionId) || (customerPhone && this.phoneMatches(phone, customerPhone));
+
+        if (!feedback.orderId) {
+            const orders = await this.repository.find('orders', o =>
+                belongsToCustomer(o, o.customerPhone) && new Date(o.createdAt).getTime() >= recent
+            );
+            feedback.orderId = orders[orders.length - 1]?.id || null;
+        }
+
+        if (!feedback.bookingId && customerPhone) {
+            const today = new Date().toISOString().split('T')[0];
+            const bookings = await this.repository.find('bookings', b =>
+                belongsToCustomer(b, b.phone) && b.status !== 'cancelled' && b.date <= today &&
+                new Date(`${b.date}T00:00:00`).getTime() >= recent
+            );
+            feedback.bookingId = bookings[bookings.length - 1]?.id || null;
+        }
+
+        return feedback;
+    }
+
+    async addFeedback(feedback) {
+        const saved = await this.repository.insert('feedback', await this.linkFeedback(feedback));
+        if (saved.rating <= LOW_RATING) {
+            await this.notifyOwner('low_feedback', saved);
+        }
+        return saved;
+    }
+
+    async getFeedback(limit = 50) {
+        const feedback = await this.repository.all('feedback');
+        return feedback.slice(-limit).reverse();
     }
 
-    async saveOrders() {
-        const ordersDir = join(projectRoot, 'data/orders');
-        await fs.mkdir(ordersDir, { recursive: true });
-        await fs.writeFile(join(ordersDir, 'orders.json'), JSON.stringify(this.orders, null, 2));
-        await fs.writeFile(join(ordersDir, 'bookings.json'), JSON.stringify(this.bookings, null, 2));
-        await fs.writeFile(join(ordersDir, 'complaints.json'), JSON.stringify(this.complaints, null, 2));
+    averageRating(records) {
+        if (!records.length) return null;
+        return Math.round(records.reduce((sum, f) => sum + f.rating, 0) / records.length * 10) / 10;
+    }
+
+    // Average rating and count per day for the last `days` days
+    async getFeedbackTrends(days = 30) {
+        const feedback = await this.repository.all('feedback');
+        const trend = [];
+
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+            const onDay = feedback.filter(f => f.createdAt.startsWith(date));
+            trend.push({ date, count: onDay.length, average: this.averageRating(onDay) });
+        }
+
+        return {
+            days,
+            count: trend.reduce((sum, d) => sum + d.count, 0),
+            average: this.averageRating(feedback.filter(f => f.createdAt >= trend[0].date)),
+            trend
+        };
+    }
+
+    // Average rating per week (weeks start on Monday)
+    async getWeeklyRatings(weeks = 12) {
+        const feedback = await this.repository.all('feedback');
+        const monday = new Date();
+        monday.setUTCHours(0, 0, 0, 0);
+        monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+
+        const result = [];
+        for (let i = weeks - 1; i >= 0; i--) {
+            const start = new Date(monday.getTime() - i * 7 * 24 * 60 * 60 * 1000);
+            const end = new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
+            const inWeek = feedback.filter(f => {
+                const at = new Date(f.createdAt);
+                return at >= start && at < end;
+            });
+            result.push({
+                weekStart: start.toISOString().split('T')[0],
+                count: inWeek.length,
+                average: this.averageRating(inWeek),
+                low: inWeek.filter(f => f.rating <= LOW_RATING).length
+            });
+        }
+        return result;
+    }
+
+    async getLowScoreAlerts({ includeAcknowledged = false } = {}) {
+        const low = await this.repository.find('feedback', f =>
+            f.rating <= LOW_RATING && (includeAcknowledged || !f.acknowledgedAt)
+        );
+        return low.reverse();
+    }
+
+    async acknowledgeFeedback(feedbackId) {
+        return this.repository.update('feedback', feedbackId, (f) => {
+            if (f.acknowledgedAt) return false;
+            f.acknowledgedAt = new Date().toISOString();
+        });
+    }
+
+    // Message the customer on the channel the order came in on
+    // Returns whether the message reached the customer's channel
+    async notifyCustomer(record, message) {
+        if (!message || !this.gateway) return false;
+
+        let { channel, sessionId } = record;
+        if (!sessionId && record.customerPhone) {
+            channel = 'whatsapp';
+            sessionId = `wa_${String(record.customerPhone).replace(/\D/g, '')}`;
+        }
+        if (!sessionId) return false;
+
+        try {
+            return await this.gateway.sendResponse(channel, sessionId, message);
+        } catch (err) {
+            console.error('❌ Customer notification error:', err.message);
+            return false;
+        }
     }
 
     // Notifications
     async notifyOwner(type, data) {
-        const notifyOrders = process.env.NOTIFY_ORDERS === 'true';
-        const notifyComplaints = process.env.NOTIFY_COMPLAINTS === 'true';
-        const ownerPhone = process.env.OWNER_PHONE;
+        // The owner is reachable on WhatsApp and/or Telegram
+        const ownerReachable = process.env.OWNER_PHONE || process.env.TELEGRAM_OWNER_CHAT_ID;
 
-        if (!ownerPhone) return;
+        if (!ownerReachable || !this.notifier) return;
 
         let message = '';
 
         switch (type) {
             case 'new_order':
-                if (!notifyOrders) return;
                 message = `🛒 NEW ORDER #${data.id}\n\n` +
                     `${data.items.map(i => `• ${i.quantity}x ${i.name}`).join('\n')}\n\n` +
                     `Total: R${data.total}\n` +
                     `Customer: ${data.customerName}\n` +
-                    `${data.delivery ? `Delivery to: ${data.address}` : 'Pickup'}`;
+                    `${data.delivery ? `Delivery to: ${data.address}` : 'Pickup'}` +
+                    `${data.location ? `\nMap: ${data.location.mapsUrl}` : ''}`;
                 break;
 
             case 'new_booking':
@@ -83,20 +502,52 @@ class OrdersManager {
                     `Phone: ${data.phone}`;
                 break;
 
+            case 'booking_changed':
+                message = `📅 BOOKING UPDATED #${data.id}\n\n` +
+                    `Change: ${data.change}\n` +
+                    `Now: ${data.date} at ${data.time}, ${data.guests} guests\n` +
+                    `Name: ${data.name}\n` +
+                    `Phone: ${data.phone}`;
+                break;
+
             case 'complaint':
-                if (!notifyComplaints) return;
                 message = `⚠️ CUSTOMER COMPLAINT #${data.id}\n\n` +
                     `Issue: ${data.issue}\n` +
                     `Customer: ${data.customerName}\n` +
                     `Phone: ${data.customerPhone}\n` +
-                    `Urgency: ${data.urgency.toUpperCase()}`;
+                    `Urgency: ${data.urgency.toUpperCase()}` +
+                    `${data.media?.length ? `\nAttachments: ${data.media.length} (see dashboard)` : ''}`;
+                break;
+
+            case 'escalation':
+                message = `🚨 ESCALATION #${data.id}\n\n` +
+                    `Reason: ${data.reason}\n` +
+                    `Customer: ${data.customerInfo || 'Unknown'}\n` +
+                    `${data.details ? `Details: ${data.details}\n` : ''}` +
+                    `${data.sessionId ? `Chat: ${data.sessionId}` : ''}`;
+                break;
+
+            case 'complaint_sla':
+                message = `⏰ COMPLAINT OVERDUE #${data.id}\n\n` +
+                    `Issue: ${data.issue}\n` +
+                    `Customer: ${data.customerName} (${data.customerPhone})\n` +
+                    `Urgency: ${(data.urgency || 'medium').toUpperCase()}\n` +
+                    `Assigned to: ${data.assignee || 'nobody'}\n` +
+                    `Was due: ${new Date(data.sla.dueAt).toLocaleString('en-ZA')}`;
+                break;
+
+            case 'low_feedback':
+                message = `⭐ LOW RATING #${data.id}: ${data.rating}/5\n\n` +
+                    `${data.comment ? `"${data.comment}"\n` : ''}` +
+                    `Customer: ${data.customerName || 'Unknown'}${data.customerPhone ? ` (${data.customerPhone})` : ''}\n` +
+                    `${data.orderId ? `Order: #${data.orderId}\n` : ''}` +
+                    `${data.bookingId ? `Booking: #${data.bookingId}` : ''}`;
                 break;
         }
 
         if (message) {
             console.log(`📱 Notifying owner: ${message.substring(0, 100)}...`);
-            // In production, send via WhatsApp
-            // this.sendWhatsAppMessage(ownerPhone, message);
+            await this.notifier.notify(type, message.trim());
         }
     }
 
@@ -110,7 +561,7 @@ class OrdersManager {
             todayOrders: todayOrders.length,
             todayRevenue,
             totalBookings: this.bookings.length,
-            openComplaints: this.complaints.filter(c => c.status === 'open').length
+            openComplaints: this.complaints.filter(c => ['open', 'in_progress'].includes(c.status)).length
         };
     }
 
@@ -123,4 +574,5 @@ class OrdersManager {
     }
 }
 
+export { ORDER_TRANSITIONS, LOW_RATING };
 export default OrdersManager;
@@ -0,0 +1,163 @@
+// Used when business.json has no "ordering" section yet
+const DEFAULT_ORDERING = {
+    deliveryFee: 0,
+    freeDeliveryThreshold: null,
+    taxRate: 0.15,
+    taxInclusive: true
+};
+
+/**
+ * Order Pricer
+ * Prices orders from the menu catalogue instead of trusting the LLM:
+ * - Unknown / sold-out items are rejected with suggestions
+ * - Modifier options add their own price
+ * - Delivery fee and tax from business.json "ordering"
+ */
+class OrderPricer {
+    constructor(catalogue, businessConfig = {}) {
+        this.catalogue = catalogue;
+        this.settings = { ...DEFAULT_ORDERING, ...(businessConfig?.ordering || {}) };
+    }
+
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    // Match requested option names ("large", "extra cheese") to the item's groups
+    resolveModifiers(item, requested = []) {
+        const wanted = requested.map(r => this.catalogue.normalize(r));
+        const chosen = [];
+        const errors = [];
+
+        for (const group of item.modifiers) {
+            const options = group.options || [];
+            let picked = options.filter(o =>
+                wanted.includes(this.catalogue.normalize(o.name)) || wanted.includes(this.catalogue.normalize(o.id))
+            );
+
+            if (picked.length === 0 && group.required) {
+                const fallback = options.find(o => o.default);
+                if (fallback) {
+                    picked = [fallback];
+                } else {
+                    errors.push({ error: 'missing_modifier', group: group.name, options: options.map(o => o.name) });
+                    continue;
+                }
+            }
+
+            const max = group.maxSelections ?? (group.required ? 1 : options.length);
+            if (picked.length > max) {
+                errors.push({ error: 'too_many_options', group: group.name, max });
+                continue;
+            }
+
+            for (const option of picked) {
+                chosen.push({ group: group.name, name: option.name, price: option.price || 0 });
+            }
+        }
+
+        const matched = chosen.map(c => this.catalogue.normalize(c.name));
+        const allOptions = item.modifiers.flatMap(g => g.options || []);
+        const optionIds = allOptions.map(o => this.catalogue.normalize(o.id));
+        const unknown = wanted.filter(w => !matched.includes(w) && !optionIds.includes(w));
+        for (const name of unknown) {
+            errors.push({ error: 'unknown_modifier', name, options: allOptions.map(o => o.name) });
+        }
+
+        return { chosen, errors };
+    }
+
+    priceLine(line) {
+        const quantity = Math.max(1, Math.floor(Number(line.quantity) || 1));
+        const { item, suggestions } = this.catalogue.findItem(line.name);
+
+        if (!item) {
+            return { error: 'unknown_item', name: line.name, suggestions };
+        }
+        if (!item.available) {
+            return { error: 'sold_out', name: item.name };
+        }
+        if (typeof item.price !== 'number') {
+            return { error: 'no_price', name: item.name };
+        }
+
+        const { chosen, errors } = this.resolveModifiers(item, line.modifiers || []);
+        if (errors.length) {
+            return { error: errors[0].error, name: item.name, details: errors };
+        }
+
+        const unitPrice = this.round(item.price + chosen.reduce((sum, m) => sum + m.price, 0));
+        return {
+            id: item.id,
+            name: item.name,
+            quantity,
+            unitPrice,
+            modifiers: chosen,
+            notes: line.notes || '',
+            total: this.round(unitPrice * quantity)
+        };
+    }
+
+    quote(lines = [], { delivery = false } = {}) {
+        if (!lines.length) {
+            return { success: false, errors: [{ error: 'empty_order' }] };
+        }
+
+        const priced = lines.map(line => this.priceLine(line));
+        const errors = priced.filter(p => p.error);
+        if (errors.length) {
+            return { success: false, errors };
+        }
+
+        const subtotal = this.round(priced.reduce((sum, p) => sum + p.total, 0));
+        const { deliveryFee, freeDeliveryThreshold, taxRate, taxInclusive } = this.settings;
+        const fee = delivery && !(freeDeliveryThreshold && subtotal >= freeDeliveryThreshold) ? deliveryFee : 0;
+
+        const taxable = subtotal + fee;
+        const tax = taxInclusive
+            ? this.round(taxable - taxable / (1 + taxRate))
+            : this.round(taxable * taxRate);
+
+        return {
+            success: true,
+            currency: this.catalogue.menu.currency,
+            items: priced,
+            subtotal,
+            deliveryFee: fee,
+            tax,
+            taxInclusive,
+            total: this.round(taxInclusive ? taxable : taxable + tax)
+        };
+    }
+
+    // Human readable reason a line couldn't be priced
+    describeError(err) {
+        switch (err.error) {
+            case 'unknown_item':
+                return `"${err.name}" isn't on our menu` + (err.suggestions?.length ? ` - did you mean ${err.suggestions.join(', ')}?` : '.');
+            case 'sold_out':
+                return `${err.name} is sold out today.`;
+            case 'no_price':
+                return `${err.name} has no price set yet - please ask our team.`;
+            case 'missing_modifier': {
+                const detail = err.details?.find(d => d.error === 'missing_modifier') || err;
+                return `${err.name} needs a ${detail.group.toLowerCase()} choice: ${detail.options.join(', ')}.`;
+            }
+            case 'too_many_options': {
+                const detail = err.details?.find(d => d.error === 'too_many_options') || err;
+                return `${err.name} allows at most ${detail.max} ${detail.group.toLowerCase()} option(s).`;
+            }
+            case 'unknown_modifier': {
+                const detail = err.details?.find(d => d.error === 'unknown_modifier') || err;
+                return `"${detail.name}" isn't an option for ${err.name}. Options: ${detail.options.join(', ') || 'none'}.`;
+            }
+            case 'empty_order':
+                return 'The order has no items.';
+            default:
+                return `Couldn't price ${err.name || 'that item'}.`;
+        }
+    }
+}
+
+export { DEFAULT_ORDERING };
+export default OrderPricer;
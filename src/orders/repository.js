@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+/**
+ * Orders Repository
+ * Single persistence layer for orders, bookings, complaints, ...
+ * - One JSON file per collection under data/orders
+ * - Writes serialized per collection and made atomic (temp file + rename)
+ * - Picks up files edited outside the process (mtime check)
+ * - Emits 'change' events ({ collection, action, record }) for the dashboard
+ */
+class OrdersRepository extends EventEmitter {
+    constructor(dataDir = join(projectRoot, 'data/orders')) {
+        super();
+        this.dataDir = dataDir;
+        this.cache = new Map();   // collection -> { records, mtimeMs }
+        this.locks = new Map();   // collection -> tail of the write queue
+    }
+
+    filePath(collection) {
+        return join(this.dataDir, `${collection}.json`);
+    }
+
+    // ==================== Reading ====================
+
+    async read(collection) {
+        const cached = this.cache.get(collection);
+        let mtimeMs = null;
+
+        try {
+            mtimeMs = (await fs.stat(this.filePath(collection))).mtimeMs;
+        } catch (err) {
+            // No file yet
+        }
+
+        if (cached && cached.mtimeMs === mtimeMs) {
+            return cached.records;
+        }
+
+        let records = [];
+        if (mtimeMs !== null) {
+            try {
+                records = JSON.parse(await fs.readFile(this.filePath(collection), 'utf-8'));
+            } catch (err) {
+                console.error(`❌ Repository: could not parse ${collection}.json:`, err.message);
+                // Keep serving what we had rather than wiping it on the next write
+                if (cached) return cached.records;
+            }
+        }
+
+        this.cache.set(collection, { records, mtimeMs });
+        return records;
+    }
+
+    // Last known records without touching disk (for sync callers)
+    cached(collection) {
+        return this.cache.get(collection)?.records || [];
+    }
+
+    async all(collection) {
+        return this.read(collection);
+    }
+
+    async get(collection, id) {
+        const records = await this.read(collection);
+        return records.find(r => r.id === id) || null;
+    }
+
+    async find(collection, predicate) {
+        const records = await this.read(collection);
+        return records.filter(predicate);
+    }
+
+    // ==================== Writing ====================
+
+    // Run fn exclusively for this collection; later callers queue behind it
+    async withLock(collection, fn) {
+        const previous = this.locks.get(collection) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        this.locks.set(collection, tail);
+
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (this.locks.get(collection) === tail) {
+                this.locks.delete(collection);
+            }
+        }
+    }
+
+    async persist(collection, records) {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        const target = this.filePath(collection);
+        const temp = `${target}.${process.pid}.tmp`;
+
+        await fs.writeFile(temp, JSON.stringify(records, null, 2));
+        await fs.rename(temp, target);
+
+        const { mtimeMs } = await fs.stat(target);
+        this.cache.set(collection, { records, mtimeMs });
+    }
+
+    /**
+     * Read-modify-write a collection under its lock.
+     * fn receives { records, insert(record), update(id, mutator), remove(id) };
+     * the file is written once at the end if anything changed.
+     * A mutator returning false leaves that record untouched.
+     */
+    async transaction(collection, fn) {
+        return this.withLock(collection, async () => {
+            const records = [...await this.read(collection)];
+            const changes = [];
+
+            const tx = {
+                records,
+                insert: (record) => {
+                    records.push(record);
+                    changes.push({ action: 'insert', record });
+                    return record;
+                },
+                update: (id, mutator) => {
+                    const index = records.findIndex(r => r.id === id);
+                    if (index === -1) return null;
+
+                    const draft = structuredClone(records[index]);
+                    if (mutator(draft) === false) return records[index];
+
+                    records[index] = draft;
+                    changes.push({ action: 'update', record: draft });
+                    return draft;
+                },
+                remove: (id) => {
+                    const index = records.findIndex(r => r.id === id);
+                    if (index === -1) return null;
+
+                    const [record] = records.splice(index, 1);
+                    changes.push({ action: 'delete', record });
+                    return record;
+                }
+            };
+
+            const result = await fn(tx);
+
+            if (changes.length > 0) {
+                await this.persist(collection, records);
+                for (const change of changes) {
+                    this.emit('change', { collection, ...change });
+                }
+            }
+
+            return result;
+        });
+    }
+
+    async insert(collection, record) {
+        return this.transaction(collection, tx => tx.insert(record));
+    }
+
+    async update(collection, id, mutator) {
+        return this.transaction(collection, tx => tx.update(id, mutator));
+    }
+
+    async remove(collection, id) {
+        return this.transaction(collection, tx => tx.remove(id));
+    }
+}
+
+export default OrdersRepository;
@@ -0,0 +1,235 @@
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { LOW_RATING } from '../orders/manager.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '../..');
+
+const CLOSED_ORDER_STATUSES = ['cancelled', 'rejected'];
+
+/**
+ * Daily Owner Summary
+ * - Runs once a day at notifications.daily_summary_time (server local time)
+ * - Orders & revenue, tomorrow's bookings, open complaints,
+ *   feedback ratings and notable conversations
+ * - Sent through the owner notifier and kept for the dashboard
+ */
+class DailySummary {
+    constructor(ordersManager, memoryStore = null, notifier = null, gateway = null) {
+        this.ordersManager = ordersManager;
+        this.memoryStore = memoryStore;
+        this.notifier = notifier;
+        this.gateway = gateway;
+        this.sendTime = '22:00';
+        this.enabled = true;
+        this.timer = null;
+    }
+
+    async initialize() {
+        await this.loadConfig();
+        if (!this.enabled) {
+            console.log('📊 Daily summary: Disabled in configuration');
+            return;
+        }
+        this.scheduleNext();
+    }
+
+    async loadConfig() {
+        try {
+            const data = await fs.readFile(join(projectRoot, 'config/agent.json'), 'utf-8');
+            const notifications = JSON.parse(data).notifications || {};
+            this.enabled = notifications.owner_daily_summary !== false;
+            if (/^\d{1,2}:\d{2}$/.test(notifications.daily_summary_time || '')) {
+                this.sendTime = notifications.daily_summary_time;
+            }
+        } catch (err) {
+            // Defaults
+        }
+    }
+
+    // ==================== Scheduling ====================
+
+    msUntilNext(now = new Date()) {
+        const [hours, minutes] = this.sendTime.split(':').map(Number);
+        const next = new Date(now);
+        next.setHours(hours, minutes, 0, 0);
+        if (next <= now) next.setDate(next.getDate() + 1);
+        return next - now;
+    }
+
+    scheduleNext() {
+        const delay = this.msUntilNext();
+        this.timer = setTimeout(async () => {
+            try {
+                await this.send();
+            } catch (err) {
+                console.error('❌ Daily summary failed:', err.message);
+            }
+            this.scheduleNext();
+        }, delay);
+        this.timer.unref?.();
+
+        console.log(`📊 Daily summary: next at ${this.sendTime} (in ${Math.round(delay / 60000)} min)`);
+    }
+
+    stop() {
+        if (this.timer) clearTimeout(this.timer);
+    }
+
+    // ==================== Compiling ====================
+
+    localDate(value = new Date()) {
+        const d = new Date(value);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    async compile(date = this.localDate()) {
+        const repo = this.ordersManager.repository;
+        const [orders, bookings, complaints, feedback, escalations] = await Promise.all([
+            repo.all('orders'),
+            repo.all('bookings'),
+            repo.all('complaints'),
+            repo.all('feedback'),
+            repo.all('escalations')
+        ]);
+
+        const onDay = record => this.localDate(record.createdAt) === date;
+        const tomorrowDate = new Date(`${date}T12:00:00`);
+        tomorrowDate.setDate(tomorrowDate.getDate() + 1);
+        const tomorrow = this.localDate(tomorrowDate);
+
+        const dayOrders = orders.filter(onDay);
+        const paidOrders = dayOrders.filter(o => !CLOSED_ORDER_STATUSES.includes(o.status));
+        const revenue = Math.round(paidOrders.reduce((sum, o) => sum + (o.total || 0), 0) * 100) / 100;
+
+        const itemCounts = {};
+        for (const order of paidOrders) {
+            for (const item of order.items || []) {
+                itemCounts[item.name] = (itemCounts[item.name] || 0) + (item.quantity || 1);
+            }
+        }
+        const topItems = Object.entries(itemCounts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([name, quantity]) => ({ name, quantity }));
+
+        const tomorrowBookings = bookings
+            .filter(b => b.date === tomorrow && b.status !== 'cancelled')
+            .sort((a, b) => a.time.localeCompare(b.time));
+
+        const dayFeedback = feedback.filter(onDay);
+        const averageRating = dayFeedback.length
+            ? Math.round(dayFeedback.reduce((sum, f) => sum + (f.rating || 0), 0) / dayFeedback.length * 10) / 10
+            : null;
+
+        // Customers who talked to us today, split new vs returning
+        const customersToday = (this.memoryStore?.getAllCustomers() || []).filter(c => c.lastSeen && this.localDate(c.lastSeen) === date);
+        const newCustomers = customersToday.filter(c => c.firstSeen && this.localDate(c.firstSeen) === date);
+
+        return {
+            date,
+            orders: {
+                count: dayOrders.length,
+                cancelled: dayOrders.length - paidOrders.length,
+                revenue,
+                topItems
+            },
+            bookingsTomorrow: {
+                date: tomorrow,
+                count: tomorrowBookings.length,
+                guests: tomorrowBookings.reduce((sum, b) => sum + (b.guests || 0), 0),
+                list: tomorrowBookings.map(b => ({ id: b.id, time: b.time, guests: b.guests, name: b.name }))
+            },
+            complaints: {
+                newToday: complaints.filter(onDay).length,
+                open: complaints.filter(c => ['open', 'in_progress'].includes(c.status)).length
+            },
+            feedback: {
+                count: dayFeedback.length,
+                averageRating,
+                lowScores: dayFeedback.filter(f => f.rating <= LOW_RATING).map(f => ({ rating: f.rating, comment: f.comment }))
+            },
+            conversations: {
+                customers: customersToday.length,
+                newCustomers: newCustomers.length,
+                escalations: escalations.filter(onDay).map(e => ({ reason: e.reason, customer: e.customerInfo }))
+            },
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    format(summary) {
+        const { orders, bookingsTomorrow, complaints, feedback, conversations } = summary;
+        const lines = [
+            `📊 DAILY SUMMARY - ${summary.date}`,
+            '',
+            `🛒 Orders: ${orders.count}${orders.cancelled ? ` (${orders.cancelled} cancelled)` : ''}`,
+            `💰 Revenue: R${orders.revenue}`
+        ];
+
+        if (orders.topItems.length) {
+            lines.push(`🔥 Top: ${orders.topItems.map(i => `${i.name} (${i.quantity})`).join(', ')}`);
+        }
+
+        lines.push('', `📅 Tomorrow: ${bookingsTomorrow.count} booking(s), ${bookingsTomorrow.guests} guests`);
+        for (const b of bookingsTomorrow.list.slice(0, 10)) {
+            lines.push(`• ${b.time} - ${b.name} (${b.guests})`);
+        }
+        if (bookingsTomorrow.list.length > 10) {
+            lines.push(`• ...and ${bookingsTomorrow.list.length - 10} more`);
+        }
+
+        lines.push('', `⚠️ Complaints: ${complaints.newToday} new, ${complaints.open} open`);
+
+        if (feedback.count) {
+            lines.push(`⭐ Feedback: ${feedback.averageRating}/5 from ${feedback.count} rating(s)`);
+            for (const low of feedback.lowScores.slice(0, 3)) {
+                lines.push(`• ${low.rating}/5${low.comment ? ` - "${low.comment}"` : ''}`);
+            }
+        }
+
+        lines.push('', `💬 Chats: ${conversations.customers} customer(s), ${conversations.newCustomers} new`);
+        for (const e of conversations.escalations.slice(0, 5)) {
+            lines.push(`🚨 ${e.reason}${e.customer ? ` (${e.customer})` : ''}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    // ==================== Sending ====================
+
+    async send(date = this.localDate(), { force = false } = {}) {
+        const repo = this.ordersManager.repository;
+
+        // A restart shortly after the send time must not send it twice
+        if (!force && await repo.get('summaries', `SUM-${date}`)) {
+            return null;
+        }
+
+        const summary = await this.compile(date);
+        const text = this.format(summary);
+        const record = { id: `SUM-${date}`, ...summary, text, sentAt: new Date().toISOString() };
+
+        await repo.transaction('summaries', (tx) => {
+            tx.remove(record.id);
+            tx.insert(record);
+        });
+
+        if (this.notifier) {
+            await this.notifier.notify('daily_summary', text);
+        }
+        this.gateway?.broadcast({ type: 'summary:daily', date, timestamp: Date.now() });
+
+        console.log(`📊 Daily summary for ${date} sent`);
+        return record;
+    }
+
+    async getHistory(limit = 14) {
+        const summaries = await this.ordersManager.repository.all('summaries');
+        return summaries.slice(-limit).reverse();
+    }
+}
+
+export default DailySummary;
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LLMProvider from '../src/agent/providers.js';
+import { toAnthropicMessages, fromAnthropicResponse } from '../src/agent/anthropic.js';
+
+const TOOLS = [{
+    type: 'function',
+    function: {
+        name: 'check_availability',
+        description: 'Check free tables',
+        parameters: { type: 'object', properties: { date: { type: 'string' } } }
+    }
+}];
+
+// An Anthropic provider whose client records the request and returns a canned response
+function stubbedProvider(response) {
+    process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'test';
+    const provider = new LLMProvider({ provider: 'anthropic' });
+    const requests = [];
+    provider.client = {
+        messages: {
+            create: async (params) => {
+                requests.push(params);
+                return response;
+            }
+        }
+    };
+    return { provider, requests };
+}
+
+const TEXT_RESPONSE = {
+    content: [{ type: 'text', text: 'We have a table at 8pm.' }],
+    usage: { input_tokens: 10, output_tokens: 5 }
+};
+
+test('system messages become the system prompt', async () => {
+    const { provider, requests } = stubbedProvider(TEXT_RESPONSE);
+
+    await provider.chat([
+        { role: 'system', content: 'You are a concierge.' },
+        { role: 'system', content: 'Customer: Ana' },
+        { role: 'user', content: 'Hi' }
+    ], TOOLS);
+
+    assert.equal(requests[0].system, 'You are a concierge.\n\nCustomer: Ana');
+    assert.deepEqual(requests[0].messages, [{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }]);
+    assert.deepEqual(requests[0].tools, [{
+        name: 'check_availability',
+        description: 'Check free tables',
+        input_schema: TOOLS[0].function.parameters
+    }]);
+});
+
+test('parallel tool calls become tool_use blocks and their results share one user turn', async () => {
+    const { provider, requests } = stubbedProvider(TEXT_RESPONSE);
+
+    await provider.chat([
+        { role: 'system', content: 'You are a concierge.' },
+        { role: 'user', content: 'Friday or Saturday?' },
+        {
+            role: 'assistant',
+            content: 'Let me check both.',
+            tool_calls: [
+                { id: 'call_1', type: 'function', function: { name: 'check_availability', arguments: '{"date":"2026-10-23"}' } },
+                { id: 'call_2', type: 'function', function: { name: 'check_availability', arguments: '{"date":"2026-10-24"}' } }
+            ]
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"available":true}' },
+        { role: 'tool', tool_call_id: 'call_2', content: '{"available":false}' }
+    ], TOOLS);
+
+    const [, assistant, results] = requests[0].messages;
+    assert.equal(requests[0].messages.length, 3);
+    assert.deepEqual(assistant, {
+        role: 'assistant',
+        content: [
+            { type: 'text', text: 'Let me check both.' },
+            { type: 'tool_use', id: 'call_1', name: 'check_availability', input: { date: '2026-10-23' } },
+            { type: 'tool_use', id: 'call_2', name: 'check_availability', input: { date: '2026-10-24' } }
+        ]
+    });
+    assert.deepEqual(results, {
+        role: 'user',
+        content: [
+            { type: 'tool_result', tool_use_id: 'call_1', content: '{"available":true}' },
+            { type: 'tool_result', tool_use_id: 'call_2', content: '{"available":false}' }
+        ]
+    });
+});
+
+test('tool results lead a user turn that also has text', () => {
+    const { messages } = toAnthropicMessages([
+        { role: 'user', content: 'Book it' },
+        { role: 'assistant', content: '', tool_calls: [{ id: 'call_1', function: { name: 'create_booking', arguments: '{}' } }] },
+        { role: 'user', content: 'Actually, for four' },
+        { role: 'tool', tool_call_id: 'call_1', content: 'ok' }
+    ]);
+
+    assert.deepEqual(messages[2].content.map(b => b.type), ['tool_result', 'text']);
+});
+
+test('a transcript opening with the assistant gets a user turn first', () => {
+    const { messages } = toAnthropicMessages([{ role: 'assistant', content: 'Welcome back!' }]);
+
+    assert.equal(messages[0].role, 'user');
+    assert.equal(messages[1].role, 'assistant');
+});
+
+test('tool_use blocks in the response become OpenAI-style tool calls', async () => {
+    const { provider } = stubbedProvider({
+        content: [
+            { type: 'text', text: 'Checking.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'check_availability', input: { date: '2026-10-23' } },
+            { type: 'tool_use', id: 'toolu_2', name: 'check_availability', input: { date: '2026-10-24' } }
+        ],
+        usage: { input_tokens: 20, output_tokens: 8 }
+    });
+
+    const result = await provider.chat([{ role: 'user', content: 'Friday or Saturday?' }], TOOLS);
+
+    assert.equal(result.content, 'Checking.');
+    assert.deepEqual(result.toolCalls, [
+        { id: 'toolu_1', type: 'function', function: { name: 'check_availability', arguments: '{"date":"2026-10-23"}' } },
+        { id: 'toolu_2', type: 'function', function: { name: 'check_availability', arguments: '{"date":"2026-10-24"}' } }
+    ]);
+    assert.deepEqual(result.usage, { input_tokens: 20, output_tokens: 8 });
+});
+
+test('a text-only response has no tool calls', () => {
+    assert.equal(fromAnthropicResponse(TEXT_RESPONSE).toolCalls, null);
+});
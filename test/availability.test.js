@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AvailabilityEngine from '../src/orders/availability.js';
+
+// 2099-01-02 is a Friday, far enough ahead that no slot is "in the past"
+const FRIDAY = '2099-01-02';
+const SATURDAY = '2099-01-03';
+
+const ONE_TABLE = {
+    reservations: {
+        turnTimes: { default: 120 },
+        lastSeatingMinutes: 0,
+        sections: [{ name: 'Main', tables: [{ id: 'T1', seats: 4 }] }]
+    }
+};
+
+function engine(config, bookings = []) {
+    const availability = new AvailabilityEngine();
+    availability.load(config, bookings);
+    return availability;
+}
+
+function booking(date, time, extra = {}) {
+    return { id: `BK-${date}-${time}`, date, time, guests: 2, status: 'confirmed', tableIds: ['T1'], ...extra };
+}
+
+test('opening hours past midnight close on the next day', () => {
+    const availability = engine({ hours: 'Mon-Thu: 12:00-22:00, Fri-Sat: 18:00-02:00, Sun: Closed' });
+
+    assert.deepEqual(availability.hours[5], [{ open: 18 * 60, close: 26 * 60 }]);
+    assert.deepEqual(availability.hours[0], []);
+    assert.deepEqual(availability.hours[1], [{ open: 12 * 60, close: 22 * 60 }]);
+});
+
+test('just after midnight is open under the previous day\'s late hours', () => {
+    const availability = engine({ ...ONE_TABLE, hours: 'Mon-Thu: 12:00-22:00, Fri-Sat: 18:00-02:00, Sun: Closed' });
+
+    // Saturday 00:30 belongs to Friday night
+    assert.equal(availability.isOpenAt(SATURDAY, 30), true);
+    assert.equal(availability.isOpenAt(SATURDAY, 3 * 60), false);
+    assert.equal(availability.isOpenAt(SATURDAY, 17 * 60), false);
+    assert.equal(availability.checkSlot(FRIDAY, '17:00', 2).reason, 'closed');
+});
+
+test('unparseable hours are not enforced', () => {
+    const availability = engine({ ...ONE_TABLE, hours: 'Call us' });
+
+    assert.equal(availability.hours, null);
+    assert.equal(availability.checkSlot(FRIDAY, '04:00', 2).available, true);
+});
+
+test('a late booking blocks the table into the next day', () => {
+    const availability = engine(ONE_TABLE, [booking(FRIDAY, '23:00')]);
+
+    assert.equal(availability.checkSlot(SATURDAY, '00:30', 2).available, false);
+    // 23:00 + 120 minutes frees the table at 01:00
+    assert.equal(availability.checkSlot(SATURDAY, '01:00', 2).available, true);
+});
+
+test('a booking after midnight blocks a late slot the day before', () => {
+    const availability = engine(ONE_TABLE, [booking(SATURDAY, '00:30')]);
+
+    assert.equal(availability.checkSlot(FRIDAY, '23:00', 2).available, false);
+    assert.equal(availability.checkSlot(FRIDAY, '22:00', 2).available, true);
+});
+
+test('cancelled bookings and the booking being moved free their table', () => {
+    const cancelled = engine(ONE_TABLE, [booking(FRIDAY, '19:00', { status: 'cancelled' })]);
+    assert.equal(cancelled.checkSlot(FRIDAY, '19:00', 2).available, true);
+
+    const moving = engine(ONE_TABLE, [booking(FRIDAY, '19:00')]);
+    assert.equal(moving.checkSlot(FRIDAY, '19:30', 2).available, false);
+    assert.equal(moving.checkSlot(FRIDAY, '19:30', 2, { excludeBookingId: `BK-${FRIDAY}-19:00` }).available, true);
+});
+
+test('turn time depends on party size', () => {
+    const availability = engine({});
+
+    assert.equal(availability.getTurnTime(2), 90);
+    assert.equal(availability.getTurnTime(3), 120);
+    assert.equal(availability.getTurnTime(6), 150);
+    assert.equal(availability.getTurnTime(9), 180);
+});
+
+test('large parties are seated at joined tables in one section', () => {
+    const availability = engine({});
+
+    const slot = availability.checkSlot(FRIDAY, '19:00', 10);
+    assert.equal(slot.available, true);
+    assert.deepEqual(slot.tableIds.sort(), ['T1', 'T3', 'T4']);
+    assert.equal(slot.seats, 10);
+    assert.equal(availability.checkSlot(FRIDAY, '19:00', 13).reason, 'party_too_large');
+});
+
+test('a full slot comes back with nearby alternatives', () => {
+    const availability = engine({ ...ONE_TABLE, hours: 'Mon-Sun: 12:00-22:00' }, [booking(FRIDAY, '19:00')]);
+
+    const result = availability.check(FRIDAY, '19:00', 2);
+    assert.equal(result.available, false);
+    assert.equal(result.reason, 'fully_booked');
+    assert.ok(result.alternatives.length > 0);
+    for (const alternative of result.alternatives) {
+        assert.equal(availability.checkSlot(alternative.date, alternative.time, 2).available, true);
+    }
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MenuCatalogue from '../src/menu/catalogue.js';
+import OrderPricer from '../src/orders/pricing.js';
+
+const MENU = {
+    currency: 'R',
+    modifierGroups: [
+        {
+            id: 'size',
+            name: 'Size',
+            required: true,
+            options: [
+                { id: 'regular', name: 'Regular', price: 0, default: true },
+                { id: 'large', name: 'Large', price: 20 }
+            ]
+        },
+        {
+            id: 'extras',
+            name: 'Extras',
+            maxSelections: 2,
+            options: [
+                { id: 'extra-cheese', name: 'Extra cheese', price: 15 },
+                { id: 'bacon', name: 'Bacon', price: 18 },
+                { id: 'egg', name: 'Egg', price: 10 }
+            ]
+        },
+        {
+            id: 'cook',
+            name: 'Cooking',
+            required: true,
+            options: [
+                { id: 'rare', name: 'Rare' },
+                { id: 'medium', name: 'Medium' }
+            ]
+        }
+    ],
+    categories: [
+        {
+            id: 'mains',
+            name: 'Mains',
+            items: [
+                { id: 'classic-burger', name: 'Classic Burger', price: 95, modifierGroups: ['size', 'extras'] },
+                { id: 'chicken-burger', name: 'Chicken Burger', price: 89 },
+                { id: 'ribeye', name: 'Ribeye Steak', price: 210, modifierGroups: ['cook'] },
+                { id: 'fish-of-the-day', name: 'Fish of the Day', price: null },
+                { id: 'lamb-shank', name: 'Lamb Shank', price: 185, available: false }
+            ]
+        },
+        {
+            id: 'drinks',
+            name: 'Drinks',
+            items: [{ id: 'lemonade', name: 'Lemonade', price: 35 }]
+        }
+    ]
+};
+
+function catalogue() {
+    const menu = new MenuCatalogue();
+    menu.menu = structuredClone(MENU);
+    return menu;
+}
+
+function pricer(ordering = {}) {
+    return new OrderPricer(catalogue(), { ordering });
+}
+
+test('findItem matches exact names, ids and unambiguous partial names', () => {
+    const menu = catalogue();
+
+    assert.equal(menu.findItem('classic burger').item.id, 'classic-burger');
+    assert.equal(menu.findItem('ribeye').item.id, 'ribeye');
+    assert.equal(menu.findItem('Lemonade!').item.id, 'lemonade');
+});
+
+test('findItem returns suggestions instead of guessing between items', () => {
+    const { item, suggestions } = catalogue().findItem('burger');
+
+    assert.equal(item, null);
+    assert.deepEqual(suggestions.sort(), ['Chicken Burger', 'Classic Burger']);
+});
+
+test('findItem treats a blank name as not found', () => {
+    const menu = catalogue();
+
+    for (const name of ['', '   ', null, undefined, '!!']) {
+        assert.deepEqual(menu.findItem(name), { item: null, suggestions: [] });
+    }
+});
+
+test('modifiers add their price and required groups fall back to the default', () => {
+    const quote = pricer({ taxRate: 0.15, taxInclusive: true }).quote([
+        { name: 'Classic Burger', quantity: 2, modifiers: ['large', 'extra cheese'] },
+        { name: 'Classic Burger' }
+    ]);
+
+    assert.equal(quote.success, true);
+    assert.equal(quote.items[0].unitPrice, 130);
+    assert.equal(quote.items[0].total, 260);
+    assert.deepEqual(quote.items[0].modifiers.map(m => m.name), ['Large', 'Extra cheese']);
+    assert.deepEqual(quote.items[1].modifiers, [{ group: 'Size', name: 'Regular', price: 0 }]);
+    assert.equal(quote.subtotal, 355);
+    assert.equal(quote.total, 355);
+    assert.equal(quote.tax, 46.3);
+});
+
+test('tax is added on top when prices exclude it', () => {
+    const quote = pricer({ taxRate: 0.1, taxInclusive: false }).quote([{ name: 'Lemonade', quantity: 3 }]);
+
+    assert.equal(quote.subtotal, 105);
+    assert.equal(quote.tax, 10.5);
+    assert.equal(quote.total, 115.5);
+});
+
+test('delivery fee applies below the free delivery threshold only', () => {
+    const ordering = { deliveryFee: 25, freeDeliveryThreshold: 200, taxRate: 0 };
+
+    assert.equal(pricer(ordering).quote([{ name: 'Lemonade' }], { delivery: true }).total, 60);
+    assert.equal(pricer(ordering).quote([{ name: 'Lemonade' }], { delivery: false }).total, 35);
+    assert.equal(pricer(ordering).quote([{ name: 'Ribeye Steak', modifiers: ['rare'] }], { delivery: true }).deliveryFee, 0);
+});
+
+test('invalid modifiers are rejected with the options to offer', () => {
+    const p = pricer();
+
+    const missing = p.quote([{ name: 'Ribeye Steak' }]);
+    assert.equal(missing.errors[0].error, 'missing_modifier');
+    assert.match(p.describeError(missing.errors[0]), /Rare, Medium/);
+
+    const tooMany = p.quote([{ name: 'Classic Burger', modifiers: ['extra cheese', 'bacon', 'egg'] }]);
+    assert.equal(tooMany.errors[0].error, 'too_many_options');
+
+    const unknown = p.quote([{ name: 'Classic Burger', modifiers: ['truffle'] }]);
+    assert.equal(unknown.errors[0].error, 'unknown_modifier');
+    assert.equal(unknown.errors[0].details[0].name, 'truffle');
+});
+
+test('unknown, sold out and unpriced items are never priced', () => {
+    const quote = pricer().quote([
+        { name: 'Pizza' },
+        { name: 'Lamb Shank' },
+        { name: 'Fish of the Day' },
+        { name: '' }
+    ]);
+
+    assert.equal(quote.success, false);
+    assert.deepEqual(quote.errors.map(e => e.error), ['unknown_item', 'sold_out', 'no_price', 'unknown_item']);
+    assert.deepEqual(pricer().quote([]).errors, [{ error: 'empty_order' }]);
+});
+
+test('quantities are whole numbers of at least one', () => {
+    const quote = pricer().quote([
+        { name: 'Lemonade', quantity: 0 },
+        { name: 'Lemonade', quantity: 2.7 },
+        { name: 'Lemonade', quantity: 'lots' }
+    ]);
+
+    assert.deepEqual(quote.items.map(i => i.quantity), [1, 2, 1]);
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import OrdersRepository from '../src/orders/repository.js';
+
+// A repository over a fresh temp directory, removed once the test is done
+async function repository(t) {
+    const dir = await fs.mkdtemp(join(tmpdir(), 'orders-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return new OrdersRepository(dir);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('concurrent transactions queue behind each other without losing updates', async (t) => {
+    const repo = await repository(t);
+    await repo.insert('orders', { id: 'ORD-1', count: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () => repo.transaction('orders', async (tx) => {
+        const current = tx.records.find(r => r.id === 'ORD-1').count;
+        await delay(1);
+        tx.update('ORD-1', draft => { draft.count = current + 1; });
+    })));
+
+    assert.equal((await repo.get('orders', 'ORD-1')).count, 10);
+});
+
+test('withLock runs one caller at a time and keeps going after a failure', async (t) => {
+    const repo = await repository(t);
+    const order = [];
+
+    const first = repo.withLock('orders', async () => {
+        order.push('first:start');
+        await delay(5);
+        order.push('first:end');
+        throw new Error('boom');
+    });
+    const second = repo.withLock('orders', async () => {
+        order.push('second');
+        return 'done';
+    });
+
+    await assert.rejects(first, /boom/);
+    assert.equal(await second, 'done');
+    assert.deepEqual(order, ['first:start', 'first:end', 'second']);
+    assert.equal(repo.locks.size, 0);
+});
+
+test('a mutator returning false leaves the record and the file untouched', async (t) => {
+    const repo = await repository(t);
+    await repo.insert('bookings', { id: 'BK-1', status: 'confirmed' });
+    const { mtimeMs } = await fs.stat(repo.filePath('bookings'));
+    const events = [];
+    repo.on('change', event => events.push(event));
+
+    const result = await repo.update('bookings', 'BK-1', draft => {
+        draft.status = 'cancelled';
+        return false;
+    });
+
+    assert.equal(result.status, 'confirmed');
+    assert.equal((await repo.get('bookings', 'BK-1')).status, 'confirmed');
+    assert.equal((await fs.stat(repo.filePath('bookings'))).mtimeMs, mtimeMs);
+    assert.deepEqual(events, []);
+});
+
+test('updates and removals of unknown ids return null', async (t) => {
+    const repo = await repository(t);
+
+    assert.equal(await repo.update('orders', 'ORD-404', () => {}), null);
+    assert.equal(await repo.remove('orders', 'ORD-404'), null);
+    await assert.rejects(fs.stat(repo.filePath('orders')), { code: 'ENOENT' });
+});
+
+test('insert, update and remove are written atomically and announced', async (t) => {
+    const repo = await repository(t);
+    const events = [];
+    repo.on('change', event => events.push(event));
+
+    await repo.transaction('complaints', (tx) => {
+        tx.insert({ id: 'C-1', status: 'open' });
+        tx.insert({ id: 'C-2', status: 'open' });
+    });
+    await repo.update('complaints', 'C-1', draft => { draft.status = 'resolved'; });
+    await repo.remove('complaints', 'C-2');
+
+    const onDisk = JSON.parse(await fs.readFile(repo.filePath('complaints'), 'utf-8'));
+    assert.deepEqual(onDisk, [{ id: 'C-1', status: 'resolved' }]);
+    assert.deepEqual(await fs.readdir(repo.dataDir), ['complaints.json']);
+    assert.deepEqual(events.map(e => [e.collection, e.action, e.record.id]), [
+        ['complaints', 'insert', 'C-1'],
+        ['complaints', 'insert', 'C-2'],
+        ['complaints', 'update', 'C-1'],
+        ['complaints', 'delete', 'C-2']
+    ]);
+});
+
+test('a failing transaction writes nothing', async (t) => {
+    const repo = await repository(t);
+    await repo.insert('orders', { id: 'ORD-1', status: 'pending' });
+
+    await assert.rejects(repo.transaction('orders', (tx) => {
+        tx.update('ORD-1', draft => { draft.status = 'confirmed'; });
+        throw new Error('payment failed');
+    }), /payment failed/);
+
+    assert.equal((await repo.get('orders', 'ORD-1')).status, 'pending');
+});
+
+test('files edited outside the process are picked up', async (t) => {
+    const repo = await repository(t);
+    await repo.insert('orders', { id: 'ORD-1', status: 'pending' });
+    assert.equal(repo.cached('orders').length, 1);
+
+    const file = repo.filePath('orders');
+    await fs.writeFile(file, JSON.stringify([{ id: 'ORD-1', status: 'ready' }, { id: 'ORD-2', status: 'pending' }]));
+    // Make sure the mtime moves even on coarse-grained filesystems
+    const later = new Date(Date.now() + 5000);
+    await fs.utimes(file, later, later);
+
+    assert.equal((await repo.get('orders', 'ORD-1')).status, 'ready');
+    assert.equal((await repo.all('orders')).length, 2);
+});
+
+test('an unparseable file keeps serving the last good records', async (t) => {
+    const repo = await repository(t);
+    await repo.insert('orders', { id: 'ORD-1' });
+
+    const file = repo.filePath('orders');
+    await fs.writeFile(file, '{ half written');
+    const later = new Date(Date.now() + 5000);
+    await fs.utimes(file, later, later);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.deepEqual(await repo.all('orders'), [{ id: 'ORD-1' }]);
+    } finally {
+        console.error = originalError;
+    }
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebScraper from '../src/knowledge/web-scraper.js';
+
+const scraper = new WebScraper({ repository: {} });
+
+function allowed(robotsTxt, path) {
+    return scraper.isAllowed(scraper.parseRobots(robotsTxt), `https://example.com${path}`);
+}
+
+test('our own group is preferred over the wildcard group', () => {
+    const robots = scraper.parseRobots([
+        'User-agent: *',
+        'Disallow: /',
+        '',
+        'User-agent: Restaurant-Concierge',
+        'Disallow: /admin',
+        'Crawl-delay: 2'
+    ].join('\n'));
+
+    assert.deepEqual(robots, { rules: [{ allow: false, path: '/admin' }], crawlDelay: 2 });
+});
+
+test('the wildcard group applies when no group names us', () => {
+    const robots = scraper.parseRobots([
+        '# Staging rules',
+        'User-agent: Googlebot',
+        'Disallow: /',
+        '',
+        'User-agent: *',
+        'Disallow: /private   # staff only',
+        'Crawl-delay: 5'
+    ].join('\n'));
+
+    assert.deepEqual(robots, { rules: [{ allow: false, path: '/private' }], crawlDelay: 5 });
+});
+
+test('consecutive user-agent lines share one group', () => {
+    const robots = scraper.parseRobots([
+        'User-agent: Googlebot',
+        'User-agent: restaurant-concierge',
+        'Disallow: /menu/draft'
+    ].join('\n'));
+
+    assert.deepEqual(robots.rules, [{ allow: false, path: '/menu/draft' }]);
+});
+
+test('an empty Disallow or missing robots.txt allows everything', () => {
+    assert.equal(allowed('User-agent: *\nDisallow:', '/menu'), true);
+    assert.equal(allowed('', '/menu'), true);
+});
+
+test('the longest matching rule wins', () => {
+    const robotsTxt = 'User-agent: *\nDisallow: /menu\nAllow: /menu/public';
+
+    assert.equal(allowed(robotsTxt, '/menu/drafts'), false);
+    assert.equal(allowed(robotsTxt, '/menu/public/dinner'), true);
+    assert.equal(allowed(robotsTxt, '/about'), true);
+});
+
+test('Allow wins a tie with an equally long Disallow', () => {
+    assert.equal(allowed('User-agent: *\nDisallow: /menu\nAllow: /menu', '/menu'), true);
+});
+
+test('* matches any run of characters and $ anchors the end', () => {
+    const robotsTxt = 'User-agent: *\nDisallow: /*.pdf$\nDisallow: /*?session=';
+
+    assert.equal(allowed(robotsTxt, '/files/menu.pdf'), false);
+    assert.equal(allowed(robotsTxt, '/files/menu.pdf?download=1'), true);
+    assert.equal(allowed(robotsTxt, '/menu?session=abc'), false);
+    assert.equal(allowed(robotsTxt, '/menu?page=2'), true);
+});
+
+test('rule paths are matched literally apart from * and $', () => {
+    const robotsTxt = 'User-agent: *\nDisallow: /menu.html';
+
+    assert.equal(allowed(robotsTxt, '/menu.html'), false);
+    assert.equal(allowed(robotsTxt, '/menuXhtml'), true);
+});